@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import { upstreamFetch } from './upstream.js';
+import { recordAudit } from './audit.js';
+import { routeGroupOf, SlidingWindowStore } from './rateLimit.js';
+import { getRedis } from './redis.js';
+import { rateLimitRejections } from './metrics.js';
+
+// X-API-Key authentication for third-party integrations. Keys are verified by
+// the API program service (POST API_KEY_VERIFY_PATH with { key }), which
+// answers with the key record:
+//   { keyId, tenantId, businesses?, permissions, rateLimit?, quota? }
+//   permissions – route group -> allowed verbs, e.g. { forms: ['GET'], submissions: ['GET', 'POST'] };
+//                 '*' as group or verb list grants everything
+//   rateLimit   – per-window request limit, overriding the plan tier limit
+//   quota       – { limit, windowMs }: hard cap per key over a longer window
+// Only the key prefix ever reaches logs or audit events.
+const VERIFY_PATH = process.env.API_KEY_VERIFY_PATH || '/api-keys/verify';
+const CACHE_TTL_MS = Number(process.env.API_KEY_CACHE_TTL_MS || 60_000);
+const NEGATIVE_TTL_MS = Number(process.env.API_KEY_NEGATIVE_TTL_MS || 10_000);
+
+export const keyPrefix = (key) => `${String(key).slice(0, 8)}…`;
+
+const hashOf = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+export class ApiKeyServiceError extends Error {
+  constructor(status) {
+    super(`api-program-service responded ${status}`);
+    this.name = 'ApiKeyServiceError';
+  }
+}
+
+const allows = (permissions, group, method) => {
+  const verbs = permissions?.[group] ?? permissions?.['*'];
+  if (!verbs) return false;
+  if (verbs === '*') return true;
+  return verbs.map((v) => v.toUpperCase()).some((v) => v === '*' || v === method || (method === 'HEAD' && v === 'GET'));
+};
+
+export const createApiKeyAuth = ({
+  logger,
+  redis = getRedis(logger),
+  maxEntries = Number(process.env.API_KEY_CACHE_MAX || 10_000),
+  maxQuotaWindows = Number(process.env.API_KEY_QUOTA_WINDOWS_MAX || 50),
+} = {}) => {
+  const cache = new Map();
+  const quotaStores = new Map();
+
+  // bounded: every guessed key adds a negative entry
+  const remember = (hash, entry) => {
+    cache.delete(hash);
+    cache.set(hash, entry);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  };
+
+  // Resolve a raw key to the principal the rest of the gateway works with
+  // (req.user / req.apiKey), or null when the key is unknown or revoked.
+  const authenticate = async (key) => {
+    const hash = hashOf(key);
+    const hit = cache.get(hash);
+    if (hit && hit.expires > Date.now()) return hit.principal;
+    if (hit) cache.delete(hash);
+    const r = await upstreamFetch('apiProgram', VERIFY_PATH, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ key }),
+    });
+    let principal = null;
+    if (r.ok) {
+      const record = await r.json();
+      const apiKey = { id: record.keyId, prefix: keyPrefix(key), tenantId: record.tenantId, permissions: record.permissions || {}, rateLimit: record.rateLimit, quota: record.quota };
+      principal = {
+        apiKey,
+        user: { id: `apikey:${record.keyId}`, roles: [], scopes: { orgId: record.tenantId, businesses: record.businesses || [] } },
+      };
+    } else if (![401, 403, 404].includes(r.status)) {
+      throw new ApiKeyServiceError(r.status);
+    }
+    remember(hash, { principal, expires: Date.now() + (principal ? CACHE_TTL_MS : NEGATIVE_TTL_MS) });
+    return principal;
+  };
+
+  // one store per quota window length, least recently used shut down first
+  const quotaStoreFor = (windowMs) => {
+    let store = quotaStores.get(windowMs);
+    if (store) {
+      quotaStores.delete(windowMs);
+    } else {
+      store = new SlidingWindowStore({ redis, prefix: 'apikey-quota:', logger });
+      store.init({ windowMs });
+    }
+    quotaStores.set(windowMs, store);
+    if (quotaStores.size > maxQuotaWindows) {
+      const [oldest, evicted] = quotaStores.entries().next().value;
+      quotaStores.delete(oldest);
+      evicted.shutdown();
+    }
+    return store;
+  };
+
+  // Middleware for API-key callers: the key must grant the route group and
+  // verb, and must be within its quota. JWT callers pass straight through.
+  const enforce = async (req, res, next) => {
+    const { apiKey } = req;
+    if (!apiKey) return next();
+    const group = routeGroupOf(req.path);
+    if (!allows(apiKey.permissions, group, req.method)) {
+      recordAudit({
+        action: 'api_key.denied',
+        outcome: 'denied',
+        actor: req.user.id,
+        tenantId: apiKey.tenantId,
+        resource: { type: 'route_group', id: group },
+        apiKeyPrefix: apiKey.prefix,
+        method: req.method,
+        path: req.originalUrl,
+        requestId: req.id,
+      }, req);
+      return res.status(403).json({ message: `API key not permitted: ${req.method} ${group}`, code: 'API_KEY_SCOPE_DENIED', requestId: req.id });
+    }
+    if (apiKey.quota?.limit) {
+      const { totalHits, resetTime } = await quotaStoreFor(apiKey.quota.windowMs || 86_400_000).increment(apiKey.id);
+      if (totalHits > apiKey.quota.limit) {
+        rateLimitRejections.inc({ limiter: 'api_key_quota', group });
+        res.setHeader('Retry-After', Math.max(1, Math.ceil((resetTime - Date.now()) / 1000)));
+        return res.status(429).json({ message: 'API key quota exceeded', code: 'API_KEY_QUOTA_EXCEEDED', requestId: req.id });
+      }
+    }
+    return next();
+  };
+
+  const stop = () => {
+    for (const store of quotaStores.values()) store.shutdown();
+  };
+
+  return { authenticate, enforce, stop };
+};
@@ -0,0 +1,73 @@
+import { upstreamFetch } from './upstream.js';
+import { outboundHeaders } from './outboundHeaders.js';
+import { tenantIdOf } from './tenantScope.js';
+import { isReplay } from './idempotency.js';
+
+// Fire-and-forget audit event to the audit service, sent on behalf of `req`.
+// Never throws; a failed delivery is logged and dropped.
+export const recordAudit = async (event, req) => {
+  const log = req?.log;
+  try {
+    const r = await upstreamFetch('audit', '/audit/log', {
+      method: 'POST',
+      headers: { ...(req ? outboundHeaders(req) : {}), 'content-type': 'application/json' },
+      body: JSON.stringify({ ...event, source: 'gateway', at: new Date().toISOString() }),
+    });
+    if (!r.ok) log?.warn({ status: r.status, action: event.action }, 'audit event rejected');
+  } catch (e) {
+    log?.warn({ err: e, action: event.action }, 'audit event not delivered');
+  }
+};
+
+const outcomeOf = (status) => {
+  if (status < 400) return 'success';
+  if (status === 401 || status === 403) return 'denied';
+  return 'failure';
+};
+
+// Audit trail for manifest writes marked `audit: '<resource type>'`. Every
+// request (but an Idempotency-Key replay) is recorded once the response is
+// sent: actor and tenant from the verified token, the route's metric as action,
+// and the resource id from the path (or from the created record). Bodies are
+// never included.
+export const auditWrites = (route) => {
+  const action = route.metric || `${route.audit}.${route.method}`;
+  return (req, res, next) => {
+    let createdId;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      createdId = body?.id ?? body?._id;
+      return json(body);
+    };
+    res.on('finish', () => {
+      if (isReplay(res)) return;
+      recordAudit({
+        action,
+        outcome: outcomeOf(res.statusCode),
+        actor: req.user?.id ?? null,
+        tenantId: tenantIdOf(req) ?? null,
+        resource: { type: route.audit, id: req.params.id ?? Object.values(req.params)[0] ?? createdId ?? null },
+        ...(req.apiKey && { apiKeyPrefix: req.apiKey.prefix }),
+        method: req.method,
+        route: route.path,
+        status: res.statusCode,
+        requestId: req.id,
+      }, req);
+    });
+    next();
+  };
+};
+
+// For the client-facing POST /api/audit/log: the caller may describe the event,
+// but who sent it comes from the token, never from the body.
+export const stampClientAudit = (req, res, next) => {
+  req.body = {
+    ...req.body,
+    actor: req.user?.id ?? null,
+    tenantId: tenantIdOf(req) ?? null,
+    ...(req.apiKey && { apiKeyPrefix: req.apiKey.prefix }),
+    origin: 'client',
+    requestId: req.id,
+  };
+  next();
+};
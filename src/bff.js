@@ -0,0 +1,105 @@
+import { services } from './services.js';
+import { findMissingEntitlement } from './entitlements.js';
+import { findScopeDenial, requireTenantScope, tenantIdOf } from './tenantScope.js';
+import { outboundHeaders } from './outboundHeaders.js';
+import { buildUpstreamUrl } from './proxy.js';
+import { upstreamFetch, isTimeout, CircuitOpenError, MaintenanceError } from './upstream.js';
+
+const fill = (template, values) => template.replace(/:(\w+)/g, (_, key) => values[key] ?? '');
+
+const pick = (data, dotted) => dotted.split('.').reduce((v, k) => (v == null ? undefined : v[k]), data);
+
+class SectionError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+const toSectionError = (service, err) => {
+  if (err instanceof SectionError) return err;
+  if (err instanceof MaintenanceError) return new SectionError(503, err.code, err.message);
+  if (err instanceof CircuitOpenError) return new SectionError(503, 'UPSTREAM_CIRCUIT_OPEN', `${service.name} temporarily unavailable`);
+  if (isTimeout(err)) return new SectionError(504, 'UPSTREAM_TIMEOUT', `${service.name} timed out`);
+  return new SectionError(502, 'UPSTREAM_UNAVAILABLE', `${service.name} unavailable`);
+};
+
+// Run every section of `composite` for `req`. Sections start together; one
+// that takes `params` from another section awaits that section first. Tenant
+// identifiers among those params (businessId, orgId, tenantId, the composite's
+// `scope` fields) must be in the caller's token scope, like path params.
+const runSections = (composite, req) => {
+  const results = {};
+  const base = { ...req.params, tenantId: tenantIdOf(req) };
+  const run = async (name) => {
+    const section = composite.sections[name];
+    const service = services[section.service];
+    const missing = findMissingEntitlement(req.entitlements, section);
+    if (missing) throw new SectionError(403, 'ENTITLEMENT_REQUIRED', `${missing.type} not entitled: ${missing.key}`, { missing });
+    const resolved = {};
+    for (const [param, ref] of Object.entries(section.params || {})) {
+      const [from, ...field] = ref.split('.');
+      const data = await results[from].catch(() => {
+        throw new SectionError(424, 'DEPENDENCY_FAILED', `section ${from} failed`);
+      });
+      resolved[param] = pick(data, field.join('.'));
+      if (resolved[param] == null) throw new SectionError(424, 'DEPENDENCY_MISSING', `${ref} not available`);
+    }
+    const denied = findScopeDenial(req, { [`${name}.params`]: resolved }, composite);
+    if (denied) throw new SectionError(403, 'TENANT_SCOPE_DENIED', 'Tenant not in token scope', { field: `${denied.source}.${denied.field}` });
+    const values = { ...base, ...resolved };
+    const query = Object.fromEntries(Object.entries(section.query || {}).map(([k, v]) => [k, fill(v, values)]));
+    const url = buildUpstreamUrl(service.baseUrl, section.upstream, values, query);
+    let r;
+    try {
+      r = await upstreamFetch(section.service, url, { headers: outboundHeaders(req) });
+    } catch (e) {
+      throw toSectionError(service, e);
+    }
+    const body = await r.json().catch((e) => {
+      if (isTimeout(e)) throw toSectionError(service, e);
+      return null;
+    });
+    if (!r.ok) throw new SectionError(r.status, 'UPSTREAM_ERROR', body?.message || `${service.name} responded ${r.status}`);
+    return body;
+  };
+  for (const name of Object.keys(composite.sections)) {
+    // deferred a tick so every section's promise exists before any of them runs
+    results[name] = Promise.resolve().then(() => run(name));
+    // dependants observe failures through their own await; keep this one from going unhandled
+    results[name].catch(() => {});
+  }
+  return results;
+};
+
+export const compositeHandler = (composite) => async (req, res) => {
+  const results = runSections(composite, req);
+  const sections = {};
+  let partial = false;
+  for (const [name, promise] of Object.entries(results)) {
+    try {
+      sections[name] = { ok: true, data: await promise };
+    } catch (err) {
+      const { status, code, message, missing, field } = toSectionError(services[composite.sections[name].service], err);
+      if (composite.sections[name].required) {
+        return res.status(status).json({ message, code, section: name, requestId: req.id });
+      }
+      req.log?.warn({ section: name, status, code }, 'bff section failed');
+      partial = true;
+      sections[name] = { ok: false, error: { status, code, message, ...(missing && { missing }), ...(field && { field }) } };
+    }
+  }
+  res.json({ partial, sections, requestId: req.id });
+};
+
+// Register every composite on the app behind the tenant-scope guard.
+export const mountComposites = (app, table) => {
+  for (const composite of table) {
+    for (const section of Object.values(composite.sections)) {
+      if (!services[section.service]) throw new Error(`Unknown service "${section.service}" in ${composite.path}`);
+    }
+    app.get(composite.path, requireTenantScope(composite), compositeHandler(composite));
+  }
+};
@@ -0,0 +1,54 @@
+import fetch from 'node-fetch';
+
+// Human-verification for anonymous writes. The client sends the token its
+// widget produced in X-Challenge-Token. PUBLIC_CHALLENGE picks the verifier:
+//   none       – no check (default)
+//   stub       – local development: any token except `fail` passes
+//   siteverify – POST to CHALLENGE_VERIFY_URL with CHALLENGE_SECRET, the
+//                `siteverify` contract shared by Turnstile, hCaptcha and reCAPTCHA
+// Anything with a `verify(token, req) -> Promise<boolean>` method can be passed
+// to mountPublicRoutes instead.
+export const CHALLENGE_HEADER = 'x-challenge-token';
+
+const stubVerifier = () => ({
+  verify: async (token) => Boolean(token) && token !== 'fail',
+});
+
+const siteverifyVerifier = ({ url, secret, timeoutMs }) => ({
+  verify: async (token, req) => {
+    if (!token) return false;
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ secret, response: token, remoteip: req.ip }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!r.ok) throw new Error(`challenge verifier responded ${r.status}`);
+    return (await r.json()).success === true;
+  },
+});
+
+export const createChallengeVerifier = ({ kind = process.env.PUBLIC_CHALLENGE || 'none' } = {}) => {
+  if (kind === 'none') return null;
+  if (kind === 'stub') return stubVerifier();
+  if (kind === 'siteverify') {
+    const url = process.env.CHALLENGE_VERIFY_URL;
+    const secret = process.env.CHALLENGE_SECRET;
+    if (!url || !secret) throw new Error('PUBLIC_CHALLENGE=siteverify needs CHALLENGE_VERIFY_URL and CHALLENGE_SECRET');
+    return siteverifyVerifier({ url, secret, timeoutMs: Number(process.env.CHALLENGE_TIMEOUT_MS || 3000) });
+  }
+  throw new Error(`Unknown PUBLIC_CHALLENGE "${kind}"`);
+};
+
+// Guard for routes marked `challenge: true`; a verifier outage fails closed.
+export const requireChallenge = (verifier) => async (req, res, next) => {
+  let ok = false;
+  try {
+    ok = await verifier.verify(req.headers[CHALLENGE_HEADER], req);
+  } catch (e) {
+    req.log?.warn({ err: e.message }, 'challenge verification failed');
+    return res.status(503).json({ message: 'Verification unavailable, try again', code: 'CHALLENGE_UNAVAILABLE', requestId: req.id });
+  }
+  if (!ok) return res.status(403).json({ message: 'Verification failed', code: 'CHALLENGE_FAILED', requestId: req.id });
+  return next();
+};
@@ -0,0 +1,34 @@
+// BFF composite endpoints: one gateway call fans out to several upstreams in
+// parallel and returns every section, with an error marker for those that
+// failed. Served by src/bff.js.
+//   path     – gateway path (express syntax)
+//   scope    – extra tenant identifier fields checked against the token (as in src/routes.js)
+//   sections – name -> { service, upstream, query, module, feature, params, required }
+//     upstream / query values may use `:name` placeholders, filled from the
+//     path params, `tenantId` (from the token) and `params`
+//     params   – name -> `<section>.<field>`: take a value from another
+//                section's data; the section waits for that one
+//     required – if this section fails, the whole call fails with its status
+export const composites = [
+  {
+    path: '/bff/v1/business/:id/dashboard',
+    scope: { id: 'business' },
+    sections: {
+      business: { service: 'org', upstream: '/business/:id', required: true },
+      staff: { service: 'staff', upstream: '/staff', query: { businessId: ':id' }, module: 'staff' },
+      live: { service: 'reporting', upstream: '/reports/live/:id', feature: 'reports' },
+      submissions: { service: 'submissions', upstream: '/submissions/by-business/:id', query: { limit: '20' }, module: 'submissions' },
+      notificationRules: { service: 'notifications', upstream: '/rules', query: { businessId: ':id' } },
+      flags: { service: 'featureFlags', upstream: '/flags/:tenantId' },
+    },
+  },
+  {
+    path: '/bff/v1/forms/:code/public',
+    sections: {
+      form: { service: 'forms', upstream: '/forms/by-code/:code', module: 'forms', required: true },
+      business: { service: 'org', upstream: '/business/:businessId', params: { businessId: 'form.businessId' } },
+      brand: { service: 'org', upstream: '/brand', query: { businessId: ':businessId' }, params: { businessId: 'form.businessId' } },
+      translations: { service: 'translation', upstream: '/i18n/forms', query: { locale: ':locale' }, params: { locale: 'form.locale' }, feature: 'i18n' },
+    },
+  },
+];
@@ -0,0 +1,115 @@
+import cors from 'cors';
+import { upstreamFetch } from './upstream.js';
+
+// Origin policy for browser callers.
+//   CORS_ALLOWED_ORIGINS – origins allowed to make credentialed calls, comma-separated;
+//                          `https://*.keephy.com` matches any subdomain, `http://localhost:*`
+//                          any port (default outside production: http://localhost:*)
+//   CORS_PUBLIC_ORIGINS  – origins allowed on routes marked `cors: 'public'` (default `*`);
+//                          those never get credentials
+//   CORS_DOMAIN_LOOKUP_PATH – org-service path resolving a tenant custom domain
+//                          (default /custom-domains/:host; 200 = registered, 404 = unknown)
+//   CORS_CACHE_TTL_MS    – how long custom domain lookups are cached (default 300000)
+//   CORS_MAX_AGE_S       – preflight cache lifetime for browsers (default 600)
+// Any other origin gets no CORS headers at all, so the browser blocks the call.
+const list = (value) => (value || '').split(',').map((s) => s.trim().toLowerCase().replace(/\/$/, '')).filter(Boolean);
+
+const LOOKUP_PATH = process.env.CORS_DOMAIN_LOOKUP_PATH || '/custom-domains/:host';
+
+// `https://*.example.com` -> any subdomain depth; `http://localhost:*` -> any port
+const toMatcher = (pattern) => {
+  if (pattern === '*') return () => true;
+  if (!pattern.includes('*')) return (origin) => origin === pattern;
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\/\/\*\\\./, '//(?:[a-z0-9-]+\\.)+')
+    .replace(/:\*$/, ':\\d+');
+  const re = new RegExp(`^${source}$`);
+  return (origin) => re.test(origin);
+};
+
+const matchAny = (patterns) => {
+  const matchers = patterns.map(toMatcher);
+  return (origin) => matchers.some((m) => m(origin));
+};
+
+const pathMatcher = (template) => new RegExp(`^${template.replace(/:\w+/g, '[^/]+')}$`);
+
+const hostOf = (origin) => {
+  try {
+    const url = new URL(origin);
+    return url.protocol === 'https:' && url.origin === origin ? url.hostname : null;
+  } catch {
+    return null;
+  }
+};
+
+export const createCorsPolicy = ({
+  logger,
+  publicPaths = [],
+  allowed = list(process.env.CORS_ALLOWED_ORIGINS || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:*')),
+  publicOrigins = list(process.env.CORS_PUBLIC_ORIGINS || '*'),
+  cacheTtlMs = Number(process.env.CORS_CACHE_TTL_MS || 300_000),
+  maxAge = Number(process.env.CORS_MAX_AGE_S || 600),
+  maxEntries = Number(process.env.CORS_CACHE_MAX || 5000),
+} = {}) => {
+  const isAllowed = matchAny(allowed);
+  const isPublicOrigin = matchAny(publicOrigins);
+  const publicRoutes = publicPaths.map(pathMatcher);
+  const domains = new Map();
+  const inFlight = new Map();
+
+  const remember = (host, registered) => {
+    domains.delete(host);
+    domains.set(host, { registered, expires: Date.now() + cacheTtlMs });
+    if (domains.size > maxEntries) domains.delete(domains.keys().next().value);
+  };
+
+  // Is this a custom domain some tenant has registered? Lookup failures are
+  // not cached, so an org-service blip does not lock a tenant out for long.
+  const isCustomDomain = async (host) => {
+    const hit = domains.get(host);
+    if (hit && hit.expires > Date.now()) return hit.registered;
+    if (inFlight.has(host)) return inFlight.get(host);
+    const p = upstreamFetch('org', LOOKUP_PATH.replace(':host', encodeURIComponent(host)))
+      .then((r) => {
+        if (r.status !== 404 && !r.ok) throw new Error(`org-service responded ${r.status}`);
+        remember(host, r.ok);
+        return r.ok;
+      })
+      .catch((err) => {
+        logger?.warn({ err: err.message, host }, 'custom domain lookup failed');
+        return false;
+      })
+      .finally(() => inFlight.delete(host));
+    inFlight.set(host, p);
+    return p;
+  };
+
+  const reject = (req, origin) => {
+    req.log?.warn({ origin, method: req.method, path: req.path }, 'CORS origin rejected');
+    return { origin: false };
+  };
+
+  const optionsFor = async (req) => {
+    const origin = req.headers.origin?.toLowerCase();
+    if (!origin) return { origin: false };
+    if (publicRoutes.some((re) => re.test(req.path))) {
+      return isPublicOrigin(origin) ? { origin: true, credentials: false, maxAge } : reject(req, origin);
+    }
+    if (isAllowed(origin)) return { origin: true, credentials: true, maxAge };
+    const host = hostOf(origin);
+    if (host && (await isCustomDomain(host))) return { origin: true, credentials: true, maxAge };
+    return reject(req, origin);
+  };
+
+  const policy = cors((req, callback) => {
+    optionsFor(req).then((options) => callback(null, options), callback);
+  });
+
+  // the answer depends on Origin even when it is a rejection, so say so to caches
+  return (req, res, next) => {
+    res.vary('Origin');
+    policy(req, res, next);
+  };
+};
@@ -0,0 +1,167 @@
+import fetch from 'node-fetch';
+import { getRedis, redisReady } from './redis.js';
+import { entitlementDenials } from './metrics.js';
+
+// Entitlement policy engine. Each manifest route may require a `module` and/or
+// a `feature` (string or array). Because manifest entries are per verb, a
+// feature can be required on one verb only (e.g. GET reports is open, but
+// POST export needs `reportsExport`).
+//
+// Modules are deny-by-default: a module must be explicitly granted in the
+// tenant's entitlements. Modules listed in ENTITLEMENTS_OPEN_MODULES are
+// allowed unless explicitly disabled. Features are always deny-by-default.
+const OPEN_MODULES = new Set((process.env.ENTITLEMENTS_OPEN_MODULES || '').split(',').map((s) => s.trim()).filter(Boolean));
+
+const isGranted = (value) => value === true || value?.enabled === true;
+
+const toList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// Returns the first missing entitlement ({ type, key }) or null if allowed.
+export const findMissingEntitlement = (entitlements, { module, feature } = {}) => {
+  // fail-open placeholder from the client below: the service was unreachable
+  if (entitlements?.degraded) return null;
+  const mods = entitlements?.modules || {};
+  const flags = entitlements?.features || {};
+  for (const key of toList(module)) {
+    const value = mods[key];
+    const allowed = value === undefined && OPEN_MODULES.has(key) ? true : isGranted(value);
+    if (!allowed) return { type: 'module', key };
+  }
+  for (const key of toList(feature)) {
+    if (!isGranted(flags[key])) return { type: 'feature', key };
+  }
+  return null;
+};
+
+// Guard for a single manifest route; runs before the proxy handler.
+export const requireEntitlements = (route) => (req, res, next) => {
+  const missing = findMissingEntitlement(req.entitlements, route);
+  if (!missing) return next();
+  req.log?.info({ missing, route: route.path, method: req.method }, 'entitlement denied');
+  entitlementDenials.inc(missing);
+  return res.status(403).json({
+    message: `${missing.type === 'module' ? 'Module' : 'Feature'} not entitled: ${missing.key}`,
+    code: 'ENTITLEMENT_REQUIRED',
+    missing,
+    requestId: req.id,
+  });
+};
+
+// ---- ENTITLEMENTS CLIENT ----
+// Per-tenant cache in front of the entitlements service: in memory and, when
+// REDIS_URL is set, in Redis (shared across replicas). Entries are fresh for
+// ENTITLEMENTS_TTL_MS; for ENTITLEMENTS_STALE_MS after that they are still
+// served while a background refresh runs. If the service cannot be reached and
+// nothing usable is cached, ENTITLEMENTS_FAIL_MODE decides: `closed` (default)
+// rejects the request, `open` lets it through as `degraded`.
+const EMPTY = { modules: {}, features: {} };
+
+export class EntitlementsUnavailableError extends Error {
+  constructor(tenantId, cause) {
+    super(`Entitlements unavailable for tenant ${tenantId}`);
+    this.name = 'EntitlementsUnavailableError';
+    this.cause = cause;
+  }
+}
+
+// ENTITLEMENTS_URL is a base URL; the tenant is appended, or substituted for a
+// `:tenantId` placeholder when the URL has one.
+export const entitlementsUrl = (tenantId, base = process.env.ENTITLEMENTS_URL || 'http://localhost:7002/entitlements') => {
+  const id = encodeURIComponent(tenantId);
+  return base.includes(':tenantId') ? base.replace(':tenantId', id) : `${base.replace(/\/$/, '')}/${id}`;
+};
+
+export const createEntitlementsClient = ({
+  logger,
+  redis = getRedis(logger),
+  ttlMs = Number(process.env.ENTITLEMENTS_TTL_MS || 60_000),
+  staleMs = Number(process.env.ENTITLEMENTS_STALE_MS || 300_000),
+  timeoutMs = Number(process.env.ENTITLEMENTS_TIMEOUT_MS || 2000),
+  failMode = process.env.ENTITLEMENTS_FAIL_MODE || 'closed',
+  maxEntries = Number(process.env.ENTITLEMENTS_CACHE_MAX || 10_000),
+} = {}) => {
+  const memory = new Map();
+  const inFlight = new Map();
+  const redisKey = (tenantId) => `ent:${tenantId}`;
+
+  const remember = (tenantId, entry) => {
+    memory.delete(tenantId);
+    memory.set(tenantId, entry);
+    if (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  };
+
+  const fetchFresh = async (tenantId) => {
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const resp = await fetch(entitlementsUrl(tenantId), { signal: ac.signal });
+      // an unknown tenant simply has no entitlements; anything else non-2xx is an outage
+      if (resp.status === 404) return EMPTY;
+      if (!resp.ok) throw new Error(`entitlements-service responded ${resp.status}`);
+      return await resp.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Single in-flight load per tenant; stores the result in both cache layers.
+  const load = (tenantId) => {
+    if (inFlight.has(tenantId)) return inFlight.get(tenantId);
+    const p = fetchFresh(tenantId)
+      .then(async (value) => {
+        const entry = { value, fetchedAt: Date.now() };
+        remember(tenantId, entry);
+        if (redisReady(redis)) {
+          try {
+            await redis.set(redisKey(tenantId), JSON.stringify(entry), 'PX', ttlMs + staleMs);
+          } catch {}
+        }
+        return entry;
+      })
+      .finally(() => inFlight.delete(tenantId));
+    inFlight.set(tenantId, p);
+    return p;
+  };
+
+  const cached = async (tenantId) => {
+    if (memory.has(tenantId)) return memory.get(tenantId);
+    if (!redisReady(redis)) return null;
+    try {
+      const raw = await redis.get(redisKey(tenantId));
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      remember(tenantId, entry);
+      return entry;
+    } catch {
+      return null;
+    }
+  };
+
+  const get = async (tenantId) => {
+    const entry = await cached(tenantId);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+    if (age <= ttlMs) return entry.value;
+    if (age <= ttlMs + staleMs) {
+      load(tenantId).catch((err) => logger?.warn({ err: err.message, tenantId }, 'entitlements refresh failed'));
+      return entry.value;
+    }
+    try {
+      return (await load(tenantId)).value;
+    } catch (err) {
+      logger?.warn({ err: err.message, tenantId, failMode }, 'entitlements lookup failed');
+      if (failMode === 'open') return { ...EMPTY, degraded: true };
+      throw new EntitlementsUnavailableError(tenantId, err);
+    }
+  };
+
+  const invalidate = async (tenantId) => {
+    memory.delete(tenantId);
+    if (redisReady(redis)) {
+      try {
+        await redis.del(redisKey(tenantId));
+      } catch {}
+    }
+  };
+
+  return { get, invalidate };
+};
@@ -0,0 +1,265 @@
+import express from 'express';
+import helmet from 'helmet';
+import pino from 'pino';
+import pinoHttp from 'pino-http';
+import { v4 as uuid } from 'uuid';
+import fetch from 'node-fetch';
+import { services } from './services.js';
+import { publicRoutes, routes } from './routes.js';
+import { mountRoutes } from './proxy.js';
+import { createDeprecations, expandVersions } from './versions.js';
+import { createKeyedLimiter, createRateLimiter } from './rateLimit.js';
+import { createEntitlementsClient } from './entitlements.js';
+import { isPlatformAdmin, tenantIdOf } from './tenantScope.js';
+import { breakerStates, resetUpstreams } from './upstream.js';
+import { createMeter } from './metering.js';
+import { composites } from './composites.js';
+import { mountComposites } from './bff.js';
+import { mountPublicRoutes, PUBLIC_PREFIX } from './publicChannel.js';
+import { createIdempotency } from './idempotency.js';
+import { createApiKeyAuth, keyPrefix } from './apiKeys.js';
+import { recordAudit } from './audit.js';
+import { createJwtVerifier, createTokenIssuer, TokenError } from './jwtAuth.js';
+import { ACCESS_COOKIE, cookies, createSessionService, hasValidCsrf, mountAuthRoutes } from './session.js';
+import { buildOpenApi, DOCS_CSP, docsPage } from './openapi.js';
+import { createCorsPolicy } from './cors.js';
+import { createResponseCache } from './responseCache.js';
+import { createLiveStream } from './stream.js';
+import { redactOptions, requestBodyProps, requestSerializer } from './redaction.js';
+import { metricsHandler, requestMetrics } from './metrics.js';
+import { createConfig, mountConfigAdmin } from './config.js';
+import { closeRedis } from './redis.js';
+
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS || 2000);
+const AUTH_FAILURE_LIMIT = Number(process.env.AUTH_FAILURE_LIMIT || 30);
+const AUTH_FAILURE_WINDOW_MS = Number(process.env.AUTH_FAILURE_WINDOW_MS || 60_000);
+
+// Express `trust proxy`: 'true', a hop count, or addresses / subnets
+// ('loopback, 10.0.0.0/8'). req.ip, and every per-IP limit keyed on it,
+// depends on this; unset, the peer address is used and X-Forwarded-For ignored.
+export const trustProxyOf = (value = '') => {
+  if (value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export const createLogger = () => pino({
+  level: process.env.LOG_LEVEL || 'info',
+  // credentials, session cookies and configured fields never reach the logs
+  redact: redactOptions(),
+});
+
+// The service registry, upstream breakers and the Redis connection are
+// process-wide, so one gateway runs per process at a time.
+let running = false;
+
+// Builds the gateway app without listening: src/index.js runs it, tests can
+// drive it with supertest against stub upstreams (test/gateway.test.js):
+//   const gateway = createGateway({ config: { services: { org: { baseUrl: stub.url } } } });
+//   await request(gateway.app).get('/api/v1/org/t1') ...
+//   await gateway.stop();
+// `config` is the top config layer (same shape as GATEWAY_CONFIG_FILE, see
+// src/config.js); everything else still comes from env. An invalid config
+// throws a ConfigError; creating a second gateway before the first is
+// stopped throws too.
+//
+// Lifecycle: drain() flips /readyz to 503 and asks keep-alive clients to
+// reconnect elsewhere, closeStreams() ends live streams (clients resume on
+// another replica with Last-Event-ID), stop() flushes usage metering and
+// releases timers, Redis, upstream sockets and breaker state.
+export const createGateway = ({ logger = createLogger(), config: overrides = {} } = {}) => {
+  if (running) throw new Error('A gateway is already running in this process; stop() it first');
+  const app = express();
+  app.set('trust proxy', trustProxyOf(process.env.TRUST_PROXY));
+  // hot-reloadable settings (src/config.js)
+  const config = createConfig({ logger, overrides });
+  let draining = false;
+
+  app.use((req, res, next) => {
+    req.id = req.headers['x-request-id'] || uuid();
+    res.setHeader('x-request-id', req.id);
+    // while draining, every response closes its connection
+    if (draining) res.setHeader('Connection', 'close');
+    next();
+  });
+
+  app.use(pinoHttp({ logger, genReqId: req => req.id, serializers: { req: requestSerializer }, customProps: requestBodyProps }));
+  app.use(requestMetrics);
+  // metrics stay off the public auth chain: own admin port (src/index.js), or a scrape token
+  if (!process.env.METRICS_PORT && process.env.METRICS_TOKEN) app.get('/metrics', metricsHandler(process.env.METRICS_TOKEN));
+  app.use(helmet());
+  // manifest routes under every API version prefix (src/versions.js)
+  const apiRoutes = expandVersions(routes);
+  // only anonymous routes can take the credential-less any-origin policy: a
+  // route that needs a token is useless to an embedded form anyway
+  app.use(createCorsPolicy({
+    logger,
+    publicPaths: publicRoutes.filter((r) => r.cors === 'public').map((r) => r.path),
+  }));
+  const entitlements = createEntitlementsClient({ logger });
+  const apiKeys = createApiKeyAuth({ logger });
+  const tokens = createJwtVerifier({ logger });
+  tokens.warmUp();
+  const session = createSessionService({ logger, issuer: createTokenIssuer(), verifier: tokens });
+  app.use(cookies);
+  const authRoutes = mountAuthRoutes(app, session, { logger });
+  // the public channel is anonymous by design, whatever credentials come along
+  const anonymous = (req) => config.current().openPaths.includes(req.path) || req.path.startsWith(PUBLIC_PREFIX);
+  // rejected credentials per IP, counted before any token or API key is checked:
+  // guessing keys must not turn into one api-program-service call per guess
+  const authFailures = createKeyedLimiter({
+    logger,
+    name: 'auth-failures',
+    group: 'auth',
+    limit: AUTH_FAILURE_LIMIT,
+    windowMs: AUTH_FAILURE_WINDOW_MS,
+    keyGenerator: (req) => req.ip,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  });
+  app.use((req, res, next) => (anonymous(req) ? next() : authFailures(req, res, next)));
+  // auth + entitlements middleware: Bearer JWT (header or session cookie), or
+  // X-API-Key for integrations
+  app.use(async (req, res, next) => {
+    if (anonymous(req)) return next();
+    const auth = req.headers.authorization || '';
+    const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+    const token = bearer || req.cookies[ACCESS_COOKIE];
+    const apiKey = !token && req.headers['x-api-key'];
+    if (!token && !apiKey) return res.status(401).json({ message: 'Missing token', requestId: req.id });
+    if (token) {
+      try {
+        req.user = await tokens.verify(token);
+      } catch (e) {
+        if (!(e instanceof TokenError)) return next(e);
+        return res.status(401).json({ message: e.message, code: e.code, requestId: req.id });
+      }
+      if (await session.isRevoked(req.user)) return res.status(401).json({ message: 'Token revoked', code: 'TOKEN_REVOKED', requestId: req.id });
+      // cookie-authenticated writes must carry the CSRF token
+      if (!bearer && !hasValidCsrf(req)) return res.status(403).json({ message: 'CSRF token mismatch', code: 'CSRF_FAILED', requestId: req.id });
+    } else {
+      let principal;
+      try {
+        principal = await apiKeys.authenticate(apiKey);
+      } catch (e) {
+        req.log.warn({ err: e, apiKeyPrefix: keyPrefix(apiKey) }, 'api key verification failed');
+        return res.status(503).json({ message: 'API key verification unavailable', requestId: req.id });
+      }
+      if (!principal) {
+        recordAudit({ action: 'api_key.rejected', outcome: 'denied', apiKeyPrefix: keyPrefix(apiKey), path: req.originalUrl, requestId: req.id }, req);
+        return res.status(401).json({ message: 'Invalid API key', requestId: req.id });
+      }
+      req.user = principal.user;
+      req.apiKey = principal.apiKey;
+    }
+    // fetch entitlements (tenantId inferred from org/business scope)
+    const tenantId = tenantIdOf(req) || 'default';
+    try {
+      req.entitlements = await entitlements.get(tenantId);
+    } catch (e) {
+      return res.status(503).json({ message: 'Entitlements unavailable', requestId: req.id });
+    }
+    return next();
+  });
+
+  // per-tenant, per-route-group rate limit (Redis-backed, see src/rateLimit.js)
+  const limiter = createRateLimiter({ logger, config });
+  app.use(limiter);
+  // API-key callers: route group / verb permissions and per-key quota
+  app.use(apiKeys.enforce);
+
+  app.get('/healthz', (req, res) => res.json({ status: 'ok', requestId: req.id }));
+  app.get('/readyz', (req, res) => (draining ? res.status(503).json({ status: 'draining' }) : res.json({ status: 'ready' })));
+  // aggregated readiness: probe every registered service and report breaker state
+  app.get('/readyz/full', async (req, res) => {
+    try {
+      const entries = await Promise.all(
+        Object.entries(services).map(async ([k, service]) => {
+          try {
+            const r = await fetch(`${service.baseUrl}/ready`, { signal: AbortSignal.timeout(READINESS_TIMEOUT_MS) });
+            return [k, r.ok];
+          } catch {
+            return [k, false];
+          }
+        })
+      );
+      const status = Object.fromEntries(entries);
+      const allOk = Object.values(status).every(Boolean);
+      res.status(allOk ? 200 : 503).json({ ready: allOk, status, breakers: breakerStates() });
+    } catch (e) {
+      res.status(503).json({ ready: false });
+    }
+  });
+
+  // API description (generated from the route manifest) and optional docs UI
+  const openApiDoc = buildOpenApi();
+  app.get('/openapi.json', (req, res) => res.json(openApiDoc));
+  if (process.env.DOCS_UI === 'true') {
+    app.get('/docs', (req, res) => {
+      res.setHeader('Content-Security-Policy', DOCS_CSP);
+      res.type('html').send(docsPage());
+    });
+  }
+
+  // placeholder routes (will proxy to services later)
+  app.get('/api/v1/me', (req, res) => res.json({ user: req.user || null, entitlements: req.entitlements || null, requestId: req.id }));
+
+  // evict a tenant's cached entitlements (platform admins only)
+  app.post('/internal/entitlements/:tenantId/invalidate', async (req, res) => {
+    if (!isPlatformAdmin(req.user)) return res.status(403).json({ message: 'Platform admin role required', requestId: req.id });
+    await entitlements.invalidate(req.params.tenantId);
+    req.log.info({ tenantId: req.params.tenantId }, 'entitlements cache invalidated');
+    res.json({ invalidated: true, tenantId: req.params.tenantId, requestId: req.id });
+  });
+
+  // effective config, reload and maintenance switches (platform admins only)
+  mountConfigAdmin(app, config);
+
+  // calls to deprecated API versions, per tenant and client build (platform admins only)
+  const deprecations = createDeprecations({ logger });
+  app.get('/internal/deprecations/usage', async (req, res) => {
+    if (!isPlatformAdmin(req.user)) return res.status(403).json({ message: 'Platform admin role required', requestId: req.id });
+    const days = Math.max(1, Math.min(Number(req.query.days) || 30, 365));
+    res.json({ ...(await deprecations.report({ days })), requestId: req.id });
+  });
+
+  // ---- PROXY ROUTES (see src/routes.js) ----
+  const meter = createMeter({ logger });
+  const cache = createResponseCache({ logger });
+  const live = createLiveStream({ logger });
+  const idempotency = createIdempotency({ logger });
+  mountRoutes(app, apiRoutes, { meter, cache, live, deprecations, idempotency });
+  const publicChannel = mountPublicRoutes(app, publicRoutes, { logger, meter, live, idempotency });
+
+  // ---- LIVE STREAM (see src/stream.js) ----
+  live.mount(app, { deprecations });
+
+  // ---- BFF COMPOSITES (see src/composites.js) ----
+  mountComposites(app, composites);
+
+  running = true;
+  return {
+    app,
+    logger,
+    config,
+    drain: () => {
+      draining = true;
+    },
+    closeStreams: () => live.stop(),
+    stop: async () => {
+      config.stop();
+      live.stop();
+      publicChannel.stop();
+      idempotency.stop();
+      limiter.stop();
+      authFailures.stop();
+      apiKeys.stop();
+      session.stop();
+      authRoutes.stop();
+      await meter.stop();
+      resetUpstreams();
+      await closeRedis();
+      running = false;
+    },
+  };
+};
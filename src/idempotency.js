@@ -0,0 +1,92 @@
+import crypto from 'node:crypto';
+import { createKvStore, getRedis } from './redis.js';
+import { callerKeyOf } from './tenantScope.js';
+
+// Idempotency-Key support for writes (POST/PATCH/DELETE on manifest and public
+// routes). The first request with a key claims it for the caller's tenant; its
+// successful response (status, headers, JSON body, or an empty 204) is stored
+// for IDEMPOTENCY_TTL_MS and replayed to any retry with the same key, marked
+// `Idempotent-Replayed: true`. A retry that arrives while the first request is
+// still running gets a 409; the claim lapses after IDEMPOTENCY_PENDING_TTL_MS
+// if this replica dies mid-request. Reusing a key for a different method, path
+// or body gets a 422. Any other outcome (errors, non-JSON bodies, aborted
+// requests) releases the key so the client can try again. Streaming uploads
+// are not covered: their body is never buffered, so it can't be compared.
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+// Headers that belong to the request being answered, not to the stored result.
+const VOLATILE_HEADERS = /^(date|connection|keep-alive|transfer-encoding|content-length|set-cookie|x-request-id|x-cache|age|retry-after|ratelimit.*|access-control-.*|deprecation|sunset|link|x-powered-by)$/;
+
+// Object keys sorted, so a retry that serialises its body differently still matches.
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+};
+
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update([req.method, req.originalUrl, JSON.stringify(canonical(req.body ?? null))].join('\n'))
+  .digest('hex');
+
+// Anonymous callers (public channel) share no tenant, so their keys are also
+// scoped by client IP and form: one visitor's key can't replay another's answer.
+const ownerOf = (req) => {
+  const caller = callerKeyOf(req);
+  return caller === 'anon' ? `anon:${req.ip}:${req.formKey ?? ''}` : caller;
+};
+
+// Lets metering and the audit trail skip responses that replay an earlier write.
+export const isReplay = (res) => res.getHeader(REPLAYED_HEADER) === 'true';
+
+export const createIdempotency = ({
+  logger,
+  redis = getRedis(logger),
+  ttlMs = Number(process.env.IDEMPOTENCY_TTL_MS || 86_400_000),
+  pendingTtlMs = Number(process.env.IDEMPOTENCY_PENDING_TTL_MS || 60_000),
+} = {}) => {
+  const store = createKvStore({ redis, prefix: 'idem:', logger });
+
+  const guard = async (req, res, next) => {
+    const key = req.headers[IDEMPOTENCY_HEADER];
+    if (!key) return next();
+    if (key.length > 255) return res.status(400).json({ message: 'Idempotency-Key too long', code: 'IDEMPOTENCY_KEY_INVALID', requestId: req.id });
+    const id = `${ownerOf(req)}:${key}`;
+    const fingerprint = fingerprintOf(req);
+
+    if (!(await store.setIfAbsent(id, JSON.stringify({ state: 'pending', fingerprint }), pendingTtlMs))) {
+      const raw = await store.get(id);
+      const entry = raw ? JSON.parse(raw) : { state: 'pending', fingerprint };
+      if (entry.fingerprint !== fingerprint) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED', requestId: req.id });
+      }
+      if (entry.state === 'pending') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress', code: 'IDEMPOTENCY_IN_PROGRESS', requestId: req.id });
+      }
+      for (const [name, value] of Object.entries(entry.headers || {})) res.setHeader(name, value);
+      res.setHeader(REPLAYED_HEADER, 'true');
+      if (entry.body === undefined) return res.status(entry.status).end();
+      return res.status(entry.status).json(entry.body);
+    }
+
+    let captured;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      captured = body;
+      return json(body);
+    };
+    res.on('close', () => {
+      const ok = res.writableFinished && res.statusCode >= 200 && res.statusCode < 300 && (captured !== undefined || res.statusCode === 204);
+      const headers = Object.fromEntries(Object.entries(res.getHeaders()).filter(([name]) => !VOLATILE_HEADERS.test(name)));
+      const done = ok
+        ? store.set(id, JSON.stringify({ state: 'done', fingerprint, status: res.statusCode, headers, body: captured }), ttlMs)
+        : store.del(id);
+      done.catch((e) => logger?.warn({ err: e.message }, 'idempotency record not saved'));
+    });
+    return next();
+  };
+
+  return { guard, stop: () => store.stop() };
+};
@@ -0,0 +1,188 @@
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import jwt from 'jsonwebtoken';
+import fetch from 'node-fetch';
+
+// Access token verification.
+//   JWT_JWKS_URL / JWT_JWKS_FILE – signing keys (RS256/ES256), selected by `kid`
+//   JWT_SECRET                   – shared HS256 secret (legacy / local development)
+//   JWT_ALGORITHMS               – accepted algorithms (default: RS256,ES256 with JWKS, else HS256)
+//   JWT_ISSUER, JWT_AUDIENCE     – required `iss` / `aud` (comma-separated lists)
+//   JWT_CLOCK_TOLERANCE_S        – allowed clock skew for exp/nbf (default 30)
+//   AUTH_SIGNING_KEY_FILE        – PEM private key the gateway signs its own access tokens
+//                                  with (/auth/login); AUTH_SIGNING_KID names it (default `gateway`)
+// With NODE_ENV=production the gateway refuses to start without a JWKS or a
+// real secret, an issuer and an audience. Outside production a missing config
+// falls back to HS256 with `dev-secret`.
+const list = (value) => (value || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+export class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+export const loadJwtConfig = (env = process.env) => {
+  const production = env.NODE_ENV === 'production';
+  const jwks = env.JWT_JWKS_URL || env.JWT_JWKS_FILE || env.AUTH_SIGNING_KEY_FILE;
+  const signingKey = env.AUTH_SIGNING_KEY_FILE ? crypto.createPrivateKey(readFileSync(env.AUTH_SIGNING_KEY_FILE)) : undefined;
+  const config = {
+    jwksUrl: env.JWT_JWKS_URL,
+    jwksFile: env.JWT_JWKS_FILE,
+    secret: env.JWT_SECRET || (production || jwks ? undefined : 'dev-secret'),
+    algorithms: list(env.JWT_ALGORITHMS),
+    issuer: list(env.JWT_ISSUER),
+    audience: list(env.JWT_AUDIENCE),
+    clockTolerance: Number(env.JWT_CLOCK_TOLERANCE_S || 30),
+    jwksTtlMs: Number(env.JWT_JWKS_TTL_MS || 600_000),
+    jwksMinRefreshMs: Number(env.JWT_JWKS_MIN_REFRESH_MS || 30_000),
+    signingKey,
+    signingKid: env.AUTH_SIGNING_KID || 'gateway',
+    signingAlg: signingKey && (signingKey.asymmetricKeyType === 'ec' ? 'ES256' : 'RS256'),
+  };
+  if (!config.algorithms.length) config.algorithms = jwks ? ['RS256', 'ES256'] : ['HS256'];
+  if (production) {
+    const problems = [];
+    if (!jwks && !config.secret) problems.push('set JWT_JWKS_URL, JWT_JWKS_FILE, AUTH_SIGNING_KEY_FILE or JWT_SECRET');
+    if (config.secret === 'dev-secret') problems.push('JWT_SECRET must not be "dev-secret"');
+    if (!config.issuer.length) problems.push('set JWT_ISSUER');
+    if (!config.audience.length) problems.push('set JWT_AUDIENCE');
+    if (problems.length) throw new Error(`Refusing to start in production without JWT key config: ${problems.join('; ')}`);
+  }
+  return config;
+};
+
+const toErrorCode = (err) => {
+  if (err instanceof TokenError) return err;
+  if (err.name === 'TokenExpiredError') return new TokenError('TOKEN_EXPIRED', 'Token expired');
+  if (err.name === 'NotBeforeError') return new TokenError('TOKEN_NOT_ACTIVE', 'Token not yet valid');
+  const msg = err.message || '';
+  if (msg === 'invalid signature') return new TokenError('TOKEN_BAD_SIGNATURE', 'Invalid token signature');
+  if (msg.startsWith('jwt audience invalid')) return new TokenError('TOKEN_WRONG_AUDIENCE', 'Token audience not accepted');
+  if (msg.startsWith('jwt issuer invalid')) return new TokenError('TOKEN_WRONG_ISSUER', 'Token issuer not accepted');
+  if (msg === 'invalid algorithm') return new TokenError('TOKEN_BAD_ALGORITHM', 'Token algorithm not accepted');
+  return new TokenError('TOKEN_MALFORMED', 'Malformed token');
+};
+
+// kid -> public key, loaded from the JWKS URL or file. An unknown kid triggers
+// a reload, so rotated keys are picked up without a restart; the whole set is
+// also refreshed every jwksTtlMs. Reloads happen at most once per
+// jwksMinRefreshMs, so junk kids cannot hammer the JWKS endpoint.
+const createKeyStore = (config, logger) => {
+  // the gateway's own signing key is always trusted, whatever the JWKS says
+  const own = config.signingKey ? new Map([[config.signingKid, crypto.createPublicKey(config.signingKey)]]) : new Map();
+  let keys = new Map(own);
+  let loadedAt = 0;
+  let attemptedAt = 0;
+  let loading = null;
+
+  const parse = (jwks) => {
+    const next = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (e) {
+        logger?.warn({ kid: jwk.kid, err: e.message }, 'skipping unusable JWK');
+      }
+    }
+    return next;
+  };
+
+  const load = () => {
+    loading ||= (async () => {
+      attemptedAt = Date.now();
+      try {
+        let jwks;
+        if (config.jwksFile) {
+          jwks = JSON.parse(readFileSync(config.jwksFile, 'utf8'));
+        } else if (!config.jwksUrl) {
+          jwks = { keys: [] };
+        } else {
+          const r = await fetch(config.jwksUrl, { signal: AbortSignal.timeout(5000) });
+          if (!r.ok) throw new Error(`JWKS endpoint responded ${r.status}`);
+          jwks = await r.json();
+        }
+        keys = new Map([...parse(jwks), ...own]);
+        loadedAt = Date.now();
+        logger?.info({ kids: [...keys.keys()] }, 'JWKS loaded');
+      } catch (e) {
+        logger?.error({ err: e.message }, 'JWKS load failed');
+      }
+    })().finally(() => {
+      // cleared asynchronously: a file load never awaits, so a `finally` inside
+      // would run before `loading` is assigned and pin the first result
+      loading = null;
+    });
+    return loading;
+  };
+
+  const keyFor = async (kid) => {
+    const stale = Date.now() - loadedAt > config.jwksTtlMs || !keys.has(kid);
+    if (stale && Date.now() - attemptedAt >= config.jwksMinRefreshMs) await load();
+    if (keys.has(kid)) return keys.get(kid);
+    // tokens without a kid are accepted only when the set has exactly one key
+    if (kid === undefined && keys.size === 1) return [...keys.values()][0];
+    throw new TokenError('TOKEN_UNKNOWN_KEY', 'Token signing key not recognised');
+  };
+
+  return { keyFor, load };
+};
+
+export const createJwtVerifier = ({ logger, config = loadJwtConfig() } = {}) => {
+  const keyStore = config.jwksUrl || config.jwksFile || config.signingKey ? createKeyStore(config, logger) : null;
+  const options = {
+    algorithms: config.algorithms,
+    clockTolerance: config.clockTolerance,
+    ...(config.issuer.length && { issuer: config.issuer }),
+    ...(config.audience.length && { audience: config.audience }),
+  };
+
+  const keyFor = async (header) => {
+    if (!config.algorithms.includes(header.alg)) throw new TokenError('TOKEN_BAD_ALGORITHM', 'Token algorithm not accepted');
+    if (header.alg.startsWith('HS')) {
+      if (!config.secret) throw new TokenError('TOKEN_BAD_ALGORITHM', 'Token algorithm not accepted');
+      return config.secret;
+    }
+    if (!keyStore) throw new TokenError('TOKEN_BAD_ALGORITHM', 'Token algorithm not accepted');
+    return keyStore.keyFor(header.kid);
+  };
+
+  // Resolves with the token's claims; rejects with a TokenError whose `code`
+  // tells expired, malformed, bad signature, wrong audience etc. apart.
+  const verify = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.header) throw new TokenError('TOKEN_MALFORMED', 'Malformed token');
+    const key = await keyFor(decoded.header);
+    try {
+      return jwt.verify(token, key, options);
+    } catch (err) {
+      throw toErrorCode(err);
+    }
+  };
+
+  return { verify, warmUp: () => keyStore?.load() };
+};
+
+// Signs the gateway's own access tokens: with AUTH_SIGNING_KEY_FILE when set,
+// otherwise with the HS256 secret. Returns null when neither is configured.
+export const createTokenIssuer = ({ config = loadJwtConfig(), ttlS = Number(process.env.AUTH_ACCESS_TTL_S || 900) } = {}) => {
+  const key = config.signingKey || config.secret;
+  if (!key) return null;
+  const options = {
+    algorithm: config.signingKey ? config.signingAlg : 'HS256',
+    expiresIn: ttlS,
+    ...(config.signingKey && { keyid: config.signingKid }),
+    ...(config.issuer.length && { issuer: config.issuer[0] }),
+    ...(config.audience.length && { audience: config.audience[0] }),
+  };
+  return {
+    ttlS,
+    sign: (claims) => {
+      const jti = crypto.randomUUID();
+      return { token: jwt.sign({ ...claims, jti }, key, { ...options, subject: String(claims.id) }), jti };
+    },
+  };
+};
@@ -0,0 +1,180 @@
+import os from 'node:os';
+import path from 'node:path';
+import { appendFile, readFile, rename, unlink } from 'node:fs/promises';
+import { upstreamFetch } from './upstream.js';
+import { tenantIdOf } from './tenantScope.js';
+import { getRedis } from './redis.js';
+import { isReplay } from './idempotency.js';
+
+// Usage metering for mutating routes. Each finished request is folded into an
+// in-memory aggregate keyed by tenant, metric, route and status class; the
+// aggregates are POSTed to the metering service every METER_FLUSH_MS (or as
+// soon as METER_BATCH_SIZE distinct keys pile up). A batch that cannot be
+// delivered goes to a spool – a Redis list when REDIS_URL is set, and an NDJSON
+// file in METER_SPOOL_DIR without Redis or while Redis is down – and is retried
+// before the next batch.
+export const MUTATING = new Set(['post', 'put', 'patch', 'delete']);
+
+const statusClassOf = (status) => `${Math.floor(status / 100)}xx`;
+
+// Redis-backed spool; survives restarts and is shared by all replicas.
+const redisSpool = (redis, key = 'meter:spool') => ({
+  push: (batch) => redis.rpush(key, JSON.stringify(batch)),
+  take: async (max) => ((await redis.lpop(key, max)) || []).map((raw) => JSON.parse(raw)),
+});
+
+// File-backed spool for single-instance deployments without Redis.
+const fileSpool = (file) => ({
+  push: (batch) => appendFile(file, `${JSON.stringify(batch)}\n`),
+  take: async () => {
+    const draining = `${file}.${process.pid}.draining`;
+    try {
+      await rename(file, draining);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const lines = (await readFile(draining, 'utf8')).split('\n').filter(Boolean);
+    await unlink(draining);
+    return lines.map((line) => JSON.parse(line));
+  },
+});
+
+// Redis spool with the file spool behind it: batches Redis refuses go to the
+// file, and both are drained.
+const layeredSpool = (primary, fallback, logger) => ({
+  push: async (batch) => {
+    try {
+      await primary.push(batch);
+    } catch (e) {
+      logger?.warn({ err: e.message }, 'metering spool: redis unavailable, spooling to file');
+      await fallback.push(batch);
+    }
+  },
+  take: async (max) => {
+    const batches = await fallback.take(max);
+    try {
+      return [...batches, ...(await primary.take(max))];
+    } catch {
+      return batches;
+    }
+  },
+});
+
+export const createMeter = ({
+  logger,
+  redis = getRedis(logger),
+  flushMs = Number(process.env.METER_FLUSH_MS || 5000),
+  batchSize = Number(process.env.METER_BATCH_SIZE || 100),
+  batchPath = process.env.METER_BATCH_PATH || '/usage/batch',
+  spoolDir = process.env.METER_SPOOL_DIR || os.tmpdir(),
+} = {}) => {
+  const file = fileSpool(path.join(spoolDir, 'keephy-gateway-metering.ndjson'));
+  const spool = redis ? layeredSpool(redisSpool(redis), file, logger) : file;
+  let pending = new Map();
+  let flushing = null;
+
+  const record = ({ tenantId, metric, route, status, bytes = 0 }) => {
+    const statusClass = statusClassOf(status);
+    const key = `${tenantId}|${metric}|${route}|${statusClass}`;
+    const agg = pending.get(key) || { tenantId, metric, route, statusClass, count: 0, bytes: 0, from: new Date().toISOString() };
+    agg.count += 1;
+    agg.bytes += bytes;
+    agg.to = new Date().toISOString();
+    pending.set(key, agg);
+    if (pending.size >= batchSize) flush();
+  };
+
+  const send = async (events) => {
+    const r = await upstreamFetch('metering', batchPath, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ events }),
+    });
+    if (!r.ok) throw new Error(`metering-service responded ${r.status}`);
+  };
+
+  const retrySpooled = async () => {
+    const batches = await spool.take(20);
+    for (let i = 0; i < batches.length; i += 1) {
+      try {
+        await send(batches[i]);
+      } catch (e) {
+        // put this batch and everything after it back, keep the order
+        for (const b of batches.slice(i)) await spool.push(b);
+        throw e;
+      }
+    }
+  };
+
+  const flushNow = async () => {
+    const events = [...pending.values()];
+    pending = new Map();
+    try {
+      await retrySpooled();
+      if (events.length) await send(events);
+    } catch (e) {
+      logger?.warn({ err: e.message, events: events.length }, 'metering delivery failed, spooling');
+      if (events.length) {
+        try {
+          await spool.push(events);
+        } catch (spoolErr) {
+          logger?.error({ err: spoolErr.message, events }, 'metering spool unavailable, events dropped');
+        }
+      }
+    }
+  };
+
+  // Serialised: a flush that starts while another is running waits for it.
+  // Only the last flush in the chain clears it, so none ever runs alongside another.
+  const flush = () => {
+    const run = (flushing || Promise.resolve()).then(flushNow).finally(() => {
+      if (flushing === run) flushing = null;
+    });
+    flushing = run;
+    return run;
+  };
+
+  const timer = setInterval(flush, flushMs);
+  timer.unref();
+
+  // Middleware for one manifest route: records the request once the response
+  // has been sent (Idempotency-Key replays are free). Anonymous (public) routes
+  // pass `anonymous: true`: there is no token, so the request is billed to the
+  // org or business the upstream's JSON answer names, and not at all if it
+  // names neither.
+  const track = (route, { anonymous = false } = {}) => {
+    const metric = route.metric || `${route.service}.${route.method}`;
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    return (req, res, next) => {
+      let body;
+      if (anonymous) {
+        const json = res.json.bind(res);
+        res.json = (value) => {
+          body = value;
+          return json(value);
+        };
+      }
+      res.on('finish', () => {
+        if (isReplay(res)) return;
+        const tenantId = anonymous ? body?.orgId ?? body?.businessId : tenantIdOf(req) || 'default';
+        if (!tenantId) return;
+        record({
+          tenantId: String(tenantId),
+          metric,
+          route: name,
+          status: res.statusCode,
+          bytes: Number(req.headers['content-length'] || 0),
+        });
+      });
+      next();
+    };
+  };
+
+  const stop = async () => {
+    clearInterval(timer);
+    await flush();
+  };
+
+  return { track, record, flush, stop };
+};
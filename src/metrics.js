@@ -0,0 +1,135 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import client from 'prom-client';
+import { breakerStates } from './upstream.js';
+import { tierOf } from './rateLimit.js';
+
+// Prometheus metrics. Other modules import the metric objects below and record
+// into them; /metrics renders the registry in the text exposition format.
+//   METRICS_PORT  – serve /metrics on a separate admin port (not exposed publicly)
+//   METRICS_TOKEN – otherwise /metrics on the main port needs `Authorization: Bearer <token>`
+// With neither set, /metrics is not served. Labels stay low-cardinality: route
+// templates rather than URLs, plan tier rather than tenant id.
+export const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'gateway_' });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const httpRequests = new client.Counter({
+  name: 'gateway_http_requests_total',
+  help: 'Requests handled by the gateway',
+  labelNames: ['route', 'method', 'status', 'tier'],
+  registers: [register],
+});
+
+export const httpDuration = new client.Histogram({
+  name: 'gateway_http_request_duration_seconds',
+  help: 'Gateway request latency',
+  labelNames: ['route', 'method', 'status', 'tier'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+export const upstreamDuration = new client.Histogram({
+  name: 'gateway_upstream_request_duration_seconds',
+  help: 'Latency of calls to upstream services, per attempt',
+  labelNames: ['service', 'method', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+export const upstreamErrors = new client.Counter({
+  name: 'gateway_upstream_errors_total',
+  help: 'Failed upstream calls: timeout, network, 5xx or circuit_open',
+  labelNames: ['service', 'kind'],
+  registers: [register],
+});
+
+export const rateLimitRejections = new client.Counter({
+  name: 'gateway_rate_limit_rejections_total',
+  help: 'Requests rejected with 429',
+  labelNames: ['limiter', 'group'],
+  registers: [register],
+});
+
+export const entitlementDenials = new client.Counter({
+  name: 'gateway_entitlement_denials_total',
+  help: 'Requests denied for a missing module or feature',
+  labelNames: ['type', 'key'],
+  registers: [register],
+});
+
+export const cacheLookups = new client.Counter({
+  name: 'gateway_response_cache_lookups_total',
+  help: 'Response cache lookups by result (hit, miss, bypass)',
+  labelNames: ['route', 'result'],
+  registers: [register],
+});
+
+export const deprecatedRequests = new client.Counter({
+  name: 'gateway_deprecated_requests_total',
+  help: 'Calls to deprecated API versions or routes (per tenant: /internal/deprecations/usage)',
+  labelNames: ['version', 'route'],
+  registers: [register],
+});
+
+const BREAKER_STATE = { closed: 0, 'half-open': 1, open: 2 };
+
+new client.Gauge({
+  name: 'gateway_circuit_breaker_state',
+  help: 'Upstream circuit breaker state (0 closed, 1 half-open, 2 open)',
+  labelNames: ['service'],
+  registers: [register],
+  collect() {
+    for (const [service, { state }] of Object.entries(breakerStates())) this.set({ service }, BREAKER_STATE[state]);
+  },
+});
+
+// Records every request once the response is done; mounted first so that
+// rejections by later middleware (auth, rate limits) are counted too.
+export const requestMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      method: req.method,
+      status: String(res.statusCode),
+      tier: req.entitlements ? tierOf(req) : 'none',
+    };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+};
+
+const render = async (res) => {
+  res.setHeader('Content-Type', register.contentType);
+  res.end(await register.metrics());
+};
+
+// /metrics on the main app, for deployments without an admin port.
+export const metricsHandler = (token) => async (req, res) => {
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  const expected = Buffer.from(`Bearer ${token}`);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ message: 'Metrics token required', requestId: req.id });
+  }
+  return render(res);
+};
+
+// Separate listener for the admin port; nothing but /metrics.
+export const startMetricsServer = ({ port, logger }) => {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.statusCode = 404;
+      return res.end();
+    }
+    return render(res).catch((err) => {
+      logger?.error({ err: err.message }, 'metrics rendering failed');
+      res.statusCode = 500;
+      res.end();
+    });
+  });
+  server.listen(port, () => logger?.info({ port }, 'metrics listening'));
+  return server;
+};
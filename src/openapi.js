@@ -0,0 +1,322 @@
+import { fileURLToPath } from 'node:url';
+import { writeFileSync } from 'node:fs';
+import { publicRoutes, routes } from './routes.js';
+import { services } from './services.js';
+import { composites } from './composites.js';
+import { MUTATING } from './metering.js';
+import { expandVersions } from './versions.js';
+import { streamRoutes } from './stream.js';
+
+// Builds the gateway's OpenAPI 3.1 document from the route manifest. Served at
+// /openapi.json; `npm run openapi` regenerates the checked-in openapi.json.
+
+// either a user JWT or an integration API key
+const SECURITY = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+
+const errorRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['message', 'requestId'],
+      properties: {
+        message: { type: 'string' },
+        code: { type: 'string' },
+        requestId: { type: 'string' },
+      },
+    },
+    ValidationError: {
+      allOf: [{ $ref: '#/components/schemas/Error' }],
+      properties: {
+        errors: {
+          type: 'array',
+          items: { type: 'object', properties: { field: { type: 'string', examples: ['body.title'] }, message: { type: 'string' } } },
+        },
+      },
+    },
+    CompositeSection: {
+      type: 'object',
+      required: ['ok'],
+      properties: {
+        ok: { type: 'boolean' },
+        data: {},
+        error: { type: 'object', properties: { status: { type: 'integer' }, code: { type: 'string' }, message: { type: 'string' } } },
+      },
+    },
+    EntitlementError: {
+      allOf: [{ $ref: '#/components/schemas/Error' }],
+      properties: {
+        missing: { type: 'object', properties: { type: { enum: ['module', 'feature'] }, key: { type: 'string' } } },
+        field: { type: 'string', description: 'Tenant identifier outside the token scope (TENANT_SCOPE_DENIED)' },
+      },
+    },
+  },
+  responses: {
+    BadRequest: { description: 'Request body failed validation', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } },
+    Unauthorized: { description: 'Missing or invalid token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    Forbidden: { description: 'Missing entitlement or tenant outside token scope', content: { 'application/json': { schema: { $ref: '#/components/schemas/EntitlementError' } } } },
+    TooManyRequests: {
+      description: 'Rate limit exceeded',
+      headers: { 'Retry-After': { schema: { type: 'integer' } }, 'RateLimit-Reset': { schema: { type: 'integer' } } },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+    },
+    BadGateway: { description: 'Upstream service unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    ServiceUnavailable: {
+      description: 'Upstream circuit open',
+      headers: { 'Retry-After': { schema: { type: 'integer' } } },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+    },
+    GatewayTimeout: { description: 'Upstream timed out', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+  },
+};
+
+// `/api/forms/:id` -> `/api/forms/{id}`
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const withVersion = (op, route) => {
+  if (route.version) op['x-api-version'] = route.version;
+  if (route.deprecated) {
+    op.deprecated = true;
+    op['x-deprecation'] = { at: route.deprecated.at, sunset: route.deprecated.sunset, successor: route.deprecated.successorPrefix, link: route.deprecated.link };
+  }
+  return op;
+};
+
+const operationFor = (route) => {
+  const service = services[route.service];
+  const params = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  const op = {
+    operationId: route.method + route.path.split(/[/:-]+/).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(''),
+    summary: route.summary || `${route.method.toUpperCase()} ${route.upstream} on ${service.name}`,
+    tags: [service.name],
+    security: SECURITY,
+    responses: {
+      200: { description: `Upstream response from ${service.name}` },
+      401: errorRef('Unauthorized'),
+      403: errorRef('Forbidden'),
+      429: errorRef('TooManyRequests'),
+      502: errorRef('BadGateway'),
+      503: errorRef('ServiceUnavailable'),
+      504: errorRef('GatewayTimeout'),
+    },
+    'x-upstream': { service: service.name, path: route.upstream },
+  };
+  if (params.length) op.parameters = params;
+  if (MUTATING.has(route.method) && !route.stream) {
+    op.parameters = [...params, { name: 'Idempotency-Key', in: 'header', schema: { type: 'string', maxLength: 255 } }];
+    op.responses[409] = { description: 'A request with the same Idempotency-Key is in progress', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    op.responses[422] = { description: 'Idempotency-Key already used for a different request', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  }
+  if (route.module || route.feature) op['x-entitlements'] = { module: route.module, feature: route.feature };
+  if (route.metric) op['x-metering-metric'] = route.metric;
+  if (route.cache) op['x-cache'] = { ttlMs: route.cache.ttlMs, tags: route.cache.tags };
+  withVersion(op, route);
+  if (route.body) {
+    op.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    op.responses[400] = errorRef('BadRequest');
+  } else if (route.stream) {
+    op.requestBody = { content: { 'multipart/form-data': { schema: {} }, 'application/octet-stream': { schema: {} } } };
+  } else if (route.method !== 'get' && route.method !== 'delete') {
+    op.requestBody = { content: { 'application/json': { schema: { type: 'object' } } } };
+  }
+  return op;
+};
+
+// Routes served by the gateway itself rather than the manifest.
+const gatewayPaths = {
+  '/healthz': { get: { summary: 'Liveness probe', security: [], responses: { 200: { description: 'ok' } } } },
+  '/readyz': { get: { summary: 'Readiness probe', security: [], responses: { 200: { description: 'ok' }, 503: { description: 'draining for shutdown' } } } },
+  '/readyz/full': {
+    get: {
+      summary: 'Readiness of every upstream service, with circuit breaker state',
+      responses: { 200: { description: 'all upstreams ready' }, 503: { description: 'degraded' } },
+    },
+  },
+  '/auth/login': {
+    post: {
+      summary: 'Log in; sets session cookies, or returns tokens with `"mode": "token"`',
+      security: [],
+      requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+      responses: { 200: { description: 'logged in' }, 401: errorRef('Unauthorized'), 502: errorRef('BadGateway') },
+    },
+  },
+  '/auth/refresh': {
+    post: {
+      summary: 'Rotate the refresh token and issue a new access token',
+      security: [],
+      requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { refreshToken: { type: 'string' } } } } } },
+      responses: { 200: { description: 'refreshed' }, 401: errorRef('Unauthorized'), 403: errorRef('Forbidden') },
+    },
+  },
+  '/auth/logout': {
+    post: {
+      summary: 'Revoke the session and clear its cookies',
+      security: [],
+      responses: { 200: { description: 'logged out' }, 403: errorRef('Forbidden') },
+    },
+  },
+  '/api/v1/me': { get: { summary: 'Caller identity and entitlements', responses: { 200: { description: 'ok' }, 401: errorRef('Unauthorized') } } },
+  '/internal/config': {
+    get: {
+      summary: 'Effective gateway config with secrets redacted, plus maintenance switches (platform admins)',
+      responses: { 200: { description: 'config' }, 401: errorRef('Unauthorized'), 403: errorRef('Forbidden') },
+    },
+  },
+  '/internal/config/reload': {
+    post: {
+      summary: 'Reload config from env and GATEWAY_CONFIG_FILE (platform admins)',
+      responses: {
+        200: { description: 'reloaded' },
+        400: { description: 'Config invalid; the running config is kept', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        401: errorRef('Unauthorized'),
+        403: errorRef('Forbidden'),
+      },
+    },
+  },
+  '/internal/maintenance/{service}': {
+    put: {
+      summary: "Put a service into maintenance: its routes answer 503 with `message` (platform admins)",
+      parameters: [{ name: 'service', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { message: { type: 'string', maxLength: 500 }, retryAfterS: { type: 'integer', minimum: 0 } }, additionalProperties: false },
+          },
+        },
+      },
+      responses: { 200: { description: 'switched on' }, 400: errorRef('BadRequest'), 401: errorRef('Unauthorized'), 403: errorRef('Forbidden'), 404: { description: 'Unknown service' } },
+    },
+    delete: {
+      summary: 'Take a service out of maintenance (platform admins)',
+      parameters: [{ name: 'service', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'switched off' }, 401: errorRef('Unauthorized'), 403: errorRef('Forbidden'), 404: { description: 'Unknown service' } },
+    },
+  },
+  '/internal/deprecations/usage': {
+    get: {
+      summary: 'Calls to deprecated API versions per tenant, version, route and client build (platform admins)',
+      parameters: [{ name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 365, default: 30 } }],
+      responses: { 200: { description: 'usage, most-called first' }, 401: errorRef('Unauthorized'), 403: errorRef('Forbidden') },
+    },
+  },
+  '/internal/entitlements/{tenantId}/invalidate': {
+    post: {
+      summary: "Evict a tenant's cached entitlements (platform admins)",
+      parameters: [{ name: 'tenantId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'evicted' }, 401: errorRef('Unauthorized'), 403: errorRef('Forbidden') },
+    },
+  },
+};
+
+// BFF composites: 200 with one entry per section, `partial` when any failed.
+const compositeOperationFor = (composite) => ({
+  operationId: `get${composite.path.split(/[/:-]+/).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join('')}`,
+  summary: `Composite of ${Object.keys(composite.sections).join(', ')}`,
+  tags: ['bff'],
+  parameters: [...composite.path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+  responses: {
+    200: {
+      description: 'Sections; failed ones carry an error marker',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              partial: { type: 'boolean' },
+              sections: {
+                type: 'object',
+                properties: Object.fromEntries(Object.keys(composite.sections).map((name) => [name, { $ref: '#/components/schemas/CompositeSection' }])),
+              },
+              requestId: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    401: errorRef('Unauthorized'),
+    403: errorRef('Forbidden'),
+    429: errorRef('TooManyRequests'),
+    502: errorRef('BadGateway'),
+  },
+  'x-sections': Object.fromEntries(Object.entries(composite.sections).map(([name, s]) => [name, { service: services[s.service].name, path: s.upstream, required: !!s.required }])),
+});
+
+// Live stream (src/stream.js), one path per API version.
+const streamOperationFor = (route) => withVersion({
+  summary: 'Live events for a business (Server-Sent Events): report, submissions, notifications, submission.created',
+  parameters: [
+    { name: 'businessId', in: 'path', required: true, schema: { type: 'string' } },
+    { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+  ],
+  responses: {
+    200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+    401: errorRef('Unauthorized'),
+    403: errorRef('Forbidden'),
+    429: errorRef('TooManyRequests'),
+  },
+}, route);
+
+// Public channel routes: anonymous, so no security and no auth errors.
+const publicOperationFor = (route) => {
+  const op = operationFor(route);
+  op.tags = ['public'];
+  op.security = [];
+  delete op.responses[401];
+  if (route.challenge) op.responses[403] = { description: 'Challenge token missing or rejected (X-Challenge-Token)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  else delete op.responses[403];
+  return op;
+};
+
+export const buildOpenApi = (table = expandVersions(routes), composed = composites, open = publicRoutes, streams = streamRoutes()) => {
+  const paths = structuredClone(gatewayPaths);
+  for (const route of table) {
+    const path = toOpenApiPath(route.path);
+    paths[path] ||= {};
+    paths[path][route.method] = operationFor(route);
+  }
+  for (const route of open) {
+    const path = toOpenApiPath(route.path);
+    paths[path] ||= {};
+    paths[path][route.method] = publicOperationFor(route);
+  }
+  for (const route of streams) {
+    paths[toOpenApiPath(route.path)] = { get: streamOperationFor(route) };
+  }
+  for (const composite of composed) {
+    paths[toOpenApiPath(composite.path)] = { get: compositeOperationFor(composite) };
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title: 'gateway-bff', version: process.env.npm_package_version || '1.0.0' },
+    security: SECURITY,
+    paths,
+    components,
+  };
+};
+
+// Minimal docs UI (Redoc, the npm package's bundle served by jsDelivr); enabled
+// with DOCS_UI=true. The version is pinned and the browser checks the file
+// against its hash: bump both together (sha384 of bundles/redoc.standalone.js
+// from `npm pack redoc@<version>`).
+const REDOC_VERSION = '2.5.4';
+const REDOC_INTEGRITY = 'sha384-w447zOpYfw/1Tv/5AK9NfHTlQIqE3RVR6KY62jCyy9zNDgO64cMwGGP1Fj0zJVf5';
+
+export const DOCS_CSP = "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src https://fonts.gstatic.com; img-src 'self' data: https://cdn.redoc.ly; worker-src blob:";
+
+export const docsPage = () => `<!doctype html>
+<html>
+  <head><title>gateway-bff API</title><meta charset="utf-8"></head>
+  <body>
+    <redoc spec-url="/openapi.json"></redoc>
+    <script src="https://cdn.jsdelivr.net/npm/redoc@${REDOC_VERSION}/bundles/redoc.standalone.js" integrity="${REDOC_INTEGRITY}" crossorigin="anonymous"></script>
+  </body>
+</html>`;
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(new URL('../openapi.json', import.meta.url), `${JSON.stringify(buildOpenApi(), null, 2)}\n`);
+}
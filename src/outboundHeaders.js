@@ -0,0 +1,63 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { rolesOf, tenantIdOf } from './tenantScope.js';
+
+// Outbound header contract for every gateway -> service call:
+//   x-request-id            gateway request id
+//   traceparent/tracestate  W3C trace context (child span of the caller's, or a new trace)
+//   x-user-id, x-tenant-id, x-user-roles  caller identity from the verified token
+//   x-internal-token        short-lived gateway-signed JWT (only when INTERNAL_JWT_SECRET is set)
+// Client headers are forwarded only if allowlisted, and never if denylisted.
+const list = (value, fallback) => (value || fallback).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+const ALLOW = new Set(list(process.env.OUTBOUND_HEADER_ALLOWLIST, 'accept,accept-language,user-agent,if-none-match,if-modified-since,range,if-range'));
+const DENY = new Set([
+  ...list(process.env.OUTBOUND_HEADER_DENYLIST, ''),
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'host', 'connection', 'content-length',
+]);
+
+const INTERNAL_SECRET = process.env.INTERNAL_JWT_SECRET;
+const INTERNAL_TTL_S = Number(process.env.INTERNAL_JWT_TTL_S || 60);
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Continue the caller's trace if it sent a valid traceparent, else start one.
+const traceContextOf = (req) => {
+  if (req.traceContext) return req.traceContext;
+  const m = TRACEPARENT.exec(String(req.headers.traceparent || '').trim());
+  const traceId = m && !/^0+$/.test(m[1]) ? m[1] : crypto.randomBytes(16).toString('hex');
+  const flags = m ? m[3] : '01';
+  req.traceContext = { traceId, spanId: crypto.randomBytes(8).toString('hex'), flags };
+  return req.traceContext;
+};
+
+const internalTokenOf = (req) => {
+  if (!INTERNAL_SECRET || !req.user) return undefined;
+  req.internalToken ||= jwt.sign(
+    { sub: req.user.id || req.user.sub, tenantId: tenantIdOf(req), roles: rolesOf(req.user), requestId: req.id },
+    INTERNAL_SECRET,
+    { expiresIn: INTERNAL_TTL_S, issuer: 'keephy-gateway', audience: 'keephy-internal' }
+  );
+  return req.internalToken;
+};
+
+// Headers for an upstream call made on behalf of `req`.
+export const outboundHeaders = (req) => {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (ALLOW.has(name) && !DENY.has(name)) headers[name] = value;
+  }
+  const { traceId, spanId, flags } = traceContextOf(req);
+  headers['x-request-id'] = req.id;
+  headers.traceparent = `00-${traceId}-${spanId}-${flags}`;
+  if (req.headers.tracestate) headers.tracestate = req.headers.tracestate;
+  const userId = req.user?.id || req.user?.sub;
+  if (userId) headers['x-user-id'] = String(userId);
+  const tenantId = tenantIdOf(req);
+  if (tenantId) headers['x-tenant-id'] = String(tenantId);
+  const roles = rolesOf(req.user);
+  if (roles.length) headers['x-user-roles'] = roles.join(',');
+  const internalToken = internalTokenOf(req);
+  if (internalToken) headers['x-internal-token'] = internalToken;
+  return headers;
+};
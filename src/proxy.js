@@ -0,0 +1,136 @@
+import { pipeline } from 'node:stream/promises';
+import express from 'express';
+import { services } from './services.js';
+import { requireEntitlements } from './entitlements.js';
+import { requireTenantScope } from './tenantScope.js';
+import { validateBody } from './validation.js';
+import { auditWrites, stampClientAudit } from './audit.js';
+import { MUTATING } from './metering.js';
+import { outboundHeaders } from './outboundHeaders.js';
+import { upstreamFetch, isTimeout, CircuitOpenError, MaintenanceError } from './upstream.js';
+
+const BODYLESS = new Set(['GET', 'HEAD', 'DELETE']);
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+const JSON_BUFFER_MAX_BYTES = Number(process.env.JSON_BUFFER_MAX_BYTES || 1_048_576);
+
+// Upstream response headers copied to the client, in both JSON and stream mode.
+const PASSTHROUGH_HEADERS = [
+  'content-type', 'cache-control', 'etag', 'last-modified', 'expires', 'vary',
+  'content-disposition', 'content-language', 'content-encoding', 'content-range', 'accept-ranges', 'location',
+];
+
+// Fill `:param` placeholders in an upstream path template and append the
+// caller's query string.
+export const buildUpstreamUrl = (baseUrl, template, params = {}, query = {}) => {
+  const path = template.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key] ?? ''));
+  const qs = new URLSearchParams(query).toString();
+  return `${baseUrl}${path}${qs ? `?${qs}` : ''}`;
+};
+
+// Map an upstream failure to the gateway's error response: 503 with the
+// configured message during maintenance, 503 + Retry-After while the service's
+// circuit is open, 504 on timeout, 502 otherwise.
+export const sendUpstreamError = (req, res, service, err) => {
+  if (err instanceof MaintenanceError) {
+    if (err.retryAfterS) res.setHeader('Retry-After', err.retryAfterS);
+    return res.status(503).json({ message: err.message, code: err.code, requestId: req.id });
+  }
+  if (err instanceof CircuitOpenError) {
+    res.setHeader('Retry-After', Math.ceil(err.retryAfterMs / 1000));
+    return res.status(503).json({ message: `${service.name} temporarily unavailable`, requestId: req.id });
+  }
+  req.log?.warn({ err, service: service.name }, 'upstream request failed');
+  if (isTimeout(err)) return res.status(504).json({ message: `${service.name} timed out`, requestId: req.id });
+  return res.status(502).json({ message: `${service.name} unavailable`, requestId: req.id });
+};
+
+const copyHeaders = (r, res, extra = []) => {
+  for (const name of [...PASSTHROUGH_HEADERS, ...extra]) {
+    const value = r.headers.get(name);
+    if (value != null) res.setHeader(name, value);
+  }
+};
+
+const isJsonResponse = (r) =>
+  r.status !== 204 && r.status !== 304 && /[/+]json\b/.test(r.headers.get('content-type') || '');
+
+// Large JSON is passed through like any other body, unless the route has to
+// see it (a version transform or the response cache).
+const tooLargeToBuffer = (route, r) =>
+  !route.response && !route.cache && Number(r.headers.get('content-length')) > JSON_BUFFER_MAX_BYTES;
+
+// Send the upstream response body through unchanged (status, length, range
+// and cache headers preserved). Errors before the first byte use the normal
+// upstream error mapping; after that the client connection is cut.
+const pipeResponse = async (req, res, service, r) => {
+  res.status(r.status);
+  copyHeaders(r, res, ['content-length']);
+  if (req.method === 'HEAD' || !r.body) return res.end();
+  try {
+    await pipeline(r.body, res);
+  } catch (e) {
+    if (!res.headersSent) return sendUpstreamError(req, res, service, e);
+    req.log?.warn({ err: e, service: service.name }, 'upstream stream aborted');
+    res.destroy(e);
+  }
+};
+
+// Generic proxy handler for one manifest entry. JSON responses are parsed and
+// re-sent, through the route's version transforms if it has any; anything else
+// (files, 204s, HTML error pages, JSON over JSON_BUFFER_MAX_BYTES) is streamed
+// through. Routes marked `stream: true` also stream the request body, so
+// multipart and other non-JSON uploads reach the upstream untouched.
+export const proxyTo = (route) => {
+  const service = services[route.service];
+  if (!service) throw new Error(`Unknown service "${route.service}" for ${route.method.toUpperCase()} ${route.path}`);
+  return async (req, res) => {
+    const url = buildUpstreamUrl(service.baseUrl, route.upstream, req.params, req.query);
+    const headers = outboundHeaders(req);
+    // identity encoding keeps content-length and byte ranges meaningful end to end
+    const init = { method: req.method, headers, compress: false };
+    if (!BODYLESS.has(req.method)) {
+      if (route.stream) {
+        if (req.headers['content-type']) headers['content-type'] = req.headers['content-type'];
+        if (req.headers['content-length']) headers['content-length'] = req.headers['content-length'];
+        init.body = req;
+      } else {
+        headers['content-type'] = 'application/json';
+        init.body = JSON.stringify(route.request ? route.request(req.body ?? {}, req) : req.body ?? {});
+      }
+    }
+    try {
+      const r = await upstreamFetch(route.service, url, init);
+      if (route.stream || !isJsonResponse(r) || tooLargeToBuffer(route, r)) return await pipeResponse(req, res, service, r);
+      const j = await r.json();
+      copyHeaders(r, res);
+      res.status(r.status).json(route.response && r.ok ? route.response(j, req) : j);
+    } catch (e) {
+      sendUpstreamError(req, res, service, e);
+    }
+  };
+};
+
+// Register every manifest entry (expanded per API version, src/versions.js) on
+// the app: deprecation headers, usage metering (mutating routes, when a meter is
+// given), audit trail, JSON body parser (skipped for streaming routes), body
+// validation, tenant-scope and entitlement guards, Idempotency-Key handling
+// for writes, the response cache and live-stream publishing (when given), then
+// the proxy.
+export const mountRoutes = (app, table, { meter, cache, live, deprecations, idempotency } = {}) => {
+  for (const route of table) {
+    const handlers = deprecations && route.deprecated ? [deprecations.track(route)] : [];
+    if (meter && MUTATING.has(route.method)) handlers.push(meter.track(route));
+    if (route.audit) handlers.push(auditWrites(route));
+    if (!route.stream) handlers.push(express.json({ limit: route.bodyLimit || JSON_BODY_LIMIT }));
+    if (route.body) handlers.push(validateBody(route));
+    if (route.clientAudit) handlers.push(stampClientAudit);
+    handlers.push(requireTenantScope(route));
+    if (route.module || route.feature) handlers.push(requireEntitlements(route));
+    // replays answer here: no second invalidation, event or upstream call
+    if (idempotency && MUTATING.has(route.method) && !route.stream) handlers.push(idempotency.guard);
+    if (cache?.enabled && route.cache) handlers.push(cache.serve(route));
+    if (cache?.enabled && route.invalidates) handlers.push(cache.invalidateOn(route));
+    if (live && route.publishes) handlers.push(live.publishOn(route));
+    app[route.method](route.path, ...handlers, proxyTo(route));
+  }
+};
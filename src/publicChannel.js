@@ -0,0 +1,75 @@
+import express from 'express';
+import { proxyTo } from './proxy.js';
+import { validateBody } from './validation.js';
+import { MUTATING } from './metering.js';
+import { createKeyedLimiter } from './rateLimit.js';
+import { createChallengeVerifier, requireChallenge } from './challenge.js';
+import { createIdempotency } from './idempotency.js';
+import { getRedis } from './redis.js';
+
+// Anonymous routes for customer-facing forms (publicRoutes in src/routes.js).
+// They sit outside the auth middleware: no token is read, no entitlements or
+// tenant scope are attached, and upstreams see no user headers. Abuse
+// protection instead:
+//   PUBLIC_IP_LIMIT / PUBLIC_IP_WRITE_LIMIT – reads / writes per IP per window (default 60 / 10)
+//   PUBLIC_FORM_LIMIT                       – requests per form per window (default 600)
+//   PUBLIC_WINDOW_MS                        – window length (default 60000)
+//   PUBLIC_BODY_LIMIT                       – JSON body limit unless the route sets one (default 16kb)
+// plus the challenge verifier (src/challenge.js) on routes marked `challenge`
+// and Idempotency-Key handling on writes (src/idempotency.js).
+export const PUBLIC_PREFIX = '/public/';
+
+const BODY_LIMIT = process.env.PUBLIC_BODY_LIMIT || '16kb';
+
+// 'body.formId' -> req.body.formId
+const formKeyOf = (req, field) => {
+  const [source, name] = field.split('.');
+  return req[source]?.[name];
+};
+
+export const mountPublicRoutes = (app, table, {
+  logger,
+  redis = getRedis(logger),
+  meter,
+  live,
+  verifier = createChallengeVerifier(),
+  idempotency = createIdempotency({ redis, logger }),
+  windowMs = Number(process.env.PUBLIC_WINDOW_MS || 60_000),
+} = {}) => {
+  const limiters = [];
+  const limiter = (name, limit, keyGenerator) => {
+    const middleware = createKeyedLimiter({ logger, redis, name: `public-${name}`, group: 'public', windowMs, limit, keyGenerator });
+    limiters.push(middleware);
+    return middleware;
+  };
+  const perIp = limiter('ip', Number(process.env.PUBLIC_IP_LIMIT || 60), (req) => req.ip);
+  const perIpWrites = limiter('ip-write', Number(process.env.PUBLIC_IP_WRITE_LIMIT || 10), (req) => req.ip);
+  const perForm = limiter('form', Number(process.env.PUBLIC_FORM_LIMIT || 600), (req) => String(req.formKey));
+  const challenge = verifier && requireChallenge(verifier);
+
+  for (const route of table) {
+    const writes = MUTATING.has(route.method);
+    const handlers = meter && writes ? [meter.track(route, { anonymous: true })] : [];
+    handlers.push(writes ? perIpWrites : perIp);
+    handlers.push(express.json({ limit: route.bodyLimit || BODY_LIMIT }));
+    if (route.body) handlers.push(validateBody(route));
+    if (route.form) {
+      handlers.push((req, res, next) => {
+        req.formKey = formKeyOf(req, route.form);
+        return next();
+      }, perForm);
+    }
+    // before the challenge: a replayed submission needs no fresh token
+    if (writes) handlers.push(idempotency.guard);
+    if (route.challenge && challenge) handlers.push(challenge);
+    if (live && route.publishes) handlers.push(live.publishOn(route, { trustRequest: false }));
+    app[route.method](route.path, ...handlers, proxyTo(route));
+  }
+
+  return {
+    stop: () => {
+      limiters.forEach((middleware) => middleware.stop());
+      idempotency.stop();
+    },
+  };
+};
@@ -0,0 +1,217 @@
+import { rateLimit } from 'express-rate-limit';
+import { getRedis, redisReady } from './redis.js';
+import { tenantIdOf } from './tenantScope.js';
+import { rateLimitRejections } from './metrics.js';
+
+// Limits per route group and plan tier; an API key's own `rateLimit` takes
+// precedence. A route group is the first path segment after /api (forms,
+// submissions, search, ...). Override or extend with RATE_LIMITS (JSON of the
+// same shape), e.g.
+//   {"groups":{"search":{"windowMs":60000,"limits":{"free":30,"pro":300}}}}
+const DEFAULT_LIMITS = {
+  default: { windowMs: 60_000, limits: { free: 120, pro: 600, enterprise: 3000 } },
+  groups: {
+    submissions: { windowMs: 60_000, limits: { free: 300, pro: 1500, enterprise: 6000 } },
+    search: { windowMs: 60_000, limits: { free: 60, pro: 300, enterprise: 1200 } },
+    'ai-ml': { windowMs: 60_000, limits: { free: 20, pro: 120, enterprise: 600 } },
+  },
+};
+
+export const loadLimits = () => {
+  const overrides = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+  return {
+    default: { ...DEFAULT_LIMITS.default, ...overrides.default },
+    groups: { ...DEFAULT_LIMITS.groups, ...overrides.groups },
+  };
+};
+
+const UNLIMITED_PATHS = ['/healthz', '/readyz', '/readyz/full'];
+
+export const routeGroupOf = (path) => {
+  const m = /^\/api\/(?:v\d+\/)?([^/]+)/.exec(path);
+  return m ? m[1] : 'default';
+};
+
+export const tierOf = (req) => req.entitlements?.plan || req.entitlements?.tier || 'free';
+
+// Most specific caller identity available: API key, then tenant, then IP.
+export const clientKeyOf = (req) => {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  const tenantId = tenantIdOf(req);
+  if (tenantId) return `tenant:${tenantId}`;
+  return `ip:${req.ip}`;
+};
+
+// Sliding-window counter: the estimate is the current window's count plus the
+// previous window's count weighted by how much of it still overlaps.
+const slidingEstimate = (prev, curr, windowMs, now) => {
+  const elapsed = (now % windowMs) / windowMs;
+  return Math.floor(prev * (1 - elapsed)) + curr;
+};
+
+class MemoryWindows {
+  constructor() {
+    this.counts = new Map();
+  }
+
+  hit(key, windowMs, now) {
+    const bucket = Math.floor(now / windowMs);
+    const curr = (this.counts.get(`${key}:${bucket}`) || 0) + 1;
+    this.counts.set(`${key}:${bucket}`, curr);
+    const prev = this.counts.get(`${key}:${bucket - 1}`) || 0;
+    return { prev, curr, bucket };
+  }
+
+  undo(key, windowMs, now) {
+    const k = `${key}:${Math.floor(now / windowMs)}`;
+    if (this.counts.get(k) > 0) this.counts.set(k, this.counts.get(k) - 1);
+  }
+
+  prune(windowMs, now) {
+    const oldest = Math.floor(now / windowMs) - 1;
+    for (const k of this.counts.keys()) {
+      if (Number(k.slice(k.lastIndexOf(':') + 1)) < oldest) this.counts.delete(k);
+    }
+  }
+}
+
+// express-rate-limit store backed by Redis, falling back to process memory
+// whenever Redis is missing or a command fails.
+export class SlidingWindowStore {
+  constructor({ redis, prefix = 'rl:', logger } = {}) {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.logger = logger;
+    this.memory = new MemoryWindows();
+    this.localKeys = !redis;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = setInterval(() => this.memory.prune(this.windowMs, Date.now()), this.windowMs);
+    this.pruneTimer.unref();
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const windowMs = this.windowMs;
+    let counts;
+    // skip Redis entirely while it is (re)connecting instead of failing every call
+    if (redisReady(this.redis)) {
+      try {
+        const bucket = Math.floor(now / windowMs);
+        const curKey = `${this.prefix}${key}:${bucket}`;
+        const [[, curr], , [, prev]] = await this.redis
+          .multi()
+          .incr(curKey)
+          .pexpire(curKey, windowMs * 2)
+          .get(`${this.prefix}${key}:${bucket - 1}`)
+          .exec();
+        counts = { curr: Number(curr), prev: Number(prev || 0), bucket };
+      } catch (err) {
+        this.logger?.warn({ err: err.message }, 'rate limit store unavailable, using in-memory counters');
+      }
+    }
+    counts ||= this.memory.hit(key, windowMs, now);
+    return {
+      totalHits: slidingEstimate(counts.prev, counts.curr, windowMs, now),
+      resetTime: new Date((counts.bucket + 1) * windowMs),
+    };
+  }
+
+  async decrement(key) {
+    const now = Date.now();
+    if (redisReady(this.redis)) {
+      try {
+        await this.redis.decr(`${this.prefix}${key}:${Math.floor(now / this.windowMs)}`);
+        return;
+      } catch {}
+    }
+    this.memory.undo(key, this.windowMs, now);
+  }
+
+  async resetKey(key) {
+    const bucket = Math.floor(Date.now() / this.windowMs);
+    if (redisReady(this.redis)) {
+      try {
+        await this.redis.del(`${this.prefix}${key}:${bucket}`, `${this.prefix}${key}:${bucket - 1}`);
+      } catch {}
+    }
+    this.memory.counts.delete(`${key}:${bucket}`);
+    this.memory.counts.delete(`${key}:${bucket - 1}`);
+  }
+
+  shutdown() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+// Limiter outside the plan tiers, keyed by whatever `keyGenerator` returns
+// (IP, username, form): failed credentials, login, the public channel. Other
+// options go to express-rate-limit as they are. Returns the middleware, with
+// stop() for its store's timer.
+export const createKeyedLimiter = ({ logger, redis = getRedis(logger), name, group = name, ...options }) => {
+  const store = new SlidingWindowStore({ redis, prefix: `rl:${name}:`, logger });
+  const middleware = rateLimit({
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store,
+    handler: (req, res) => {
+      rateLimitRejections.inc({ limiter: name, group });
+      res.status(429).json({ message: 'Too many requests', requestId: req.id });
+    },
+    ...options,
+  });
+  middleware.stop = () => store.shutdown();
+  return middleware;
+};
+
+// Rate limiting middleware: one limiter per route group, limit chosen by the
+// caller's plan tier, counters keyed by route group and caller identity.
+// Pass `redis` to inject a client (or an in-process mock) in tests. With
+// `config` (src/config.js) the limits follow its `rateLimits` and the limiters
+// are rebuilt on reload (Redis counters carry over; in-memory ones restart).
+export const createRateLimiter = ({ logger, redis = getRedis(logger), config, limits = config ? config.current().rateLimits : loadLimits() } = {}) => {
+  const build = (store, policy, defaults) =>
+    rateLimit({
+      windowMs: policy.windowMs,
+      limit: (req) => req.apiKey?.rateLimit ?? policy.limits[tierOf(req)] ?? policy.limits.free ?? defaults.limits.free,
+      keyGenerator: (req) => `${routeGroupOf(req.path)}:${clientKeyOf(req)}`,
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      store,
+      handler: (req, res) => {
+        rateLimitRejections.inc({ limiter: 'tier', group: routeGroupOf(req.path) });
+        res.status(429).json({ message: 'Too many requests', requestId: req.id });
+      },
+    });
+  // express-rate-limit instances must be created up front, not per request
+  // (a reload from the admin API rebuilds them on the next tick, outside it).
+  const buildAll = (policies) => {
+    const stores = [];
+    const limiter = (group, policy) => {
+      const store = new SlidingWindowStore({ redis, prefix: `rl:${group}:`, logger });
+      stores.push(store);
+      return build(store, policy, policies.default);
+    };
+    return {
+      groups: new Map(Object.entries(policies.groups).map(([group, policy]) => [group, limiter(group, policy)])),
+      fallback: limiter('default', policies.default),
+      stop: () => stores.forEach((store) => store.shutdown()),
+    };
+  };
+  let limiters = buildAll(limits);
+  config?.onChange((next) => setImmediate(() => {
+    const previous = limiters;
+    limiters = buildAll(next.rateLimits);
+    previous.stop();
+  }));
+  const middleware = (req, res, next) => {
+    if (UNLIMITED_PATHS.includes(req.path)) return next();
+    return (limiters.groups.get(routeGroupOf(req.path)) || limiters.fallback)(req, res, next);
+  };
+  // clears the stores' prune timers on shutdown
+  middleware.stop = () => limiters.stop();
+  return middleware;
+};
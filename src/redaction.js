@@ -0,0 +1,61 @@
+import { keyPrefix } from './apiKeys.js';
+
+// What never reaches the logs. Each list extends the defaults, comma-separated:
+//   LOG_REDACT_HEADERS – request/response headers (credentials, session cookies)
+//   LOG_REDACT_QUERY   – query parameters, in both `req.query` and `req.url`
+//   LOG_REDACT_FIELDS  – body fields, matched by name at any depth (customer PII)
+//   LOG_REDACT_PATHS   – extra pino redact paths, e.g. `err.details.card`
+// Request bodies are only logged with LOG_REQUEST_BODIES=true, and then with
+// LOG_REDACT_FIELDS removed. API keys are logged by prefix, everything else
+// becomes `[Redacted]`.
+const CENSOR = '[Redacted]';
+
+const list = (value, defaults) => [...defaults, ...(value || '').split(',').map((s) => s.trim()).filter(Boolean)];
+
+const HEADERS = list(process.env.LOG_REDACT_HEADERS, [
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-csrf-token', 'x-challenge-token', 'x-internal-token',
+]).map((h) => h.toLowerCase());
+const QUERY = new Set(list(process.env.LOG_REDACT_QUERY, ['token', 'access_token', 'refresh_token', 'api_key', 'apikey', 'key', 'password', 'secret', 'signature']));
+const FIELDS = new Set(list(process.env.LOG_REDACT_FIELDS, [
+  'answers', 'password', 'email', 'phone', 'name', 'firstName', 'lastName', 'comment', 'comments', 'address', 'refreshToken', 'accessToken',
+]).map((f) => f.toLowerCase()));
+const LOG_BODIES = process.env.LOG_REQUEST_BODIES === 'true';
+
+// Options for pino's `redact`.
+export const redactOptions = () => ({
+  paths: [
+    ...HEADERS.map((h) => `req.headers["${h}"]`),
+    'res.headers["set-cookie"]',
+    ...list(process.env.LOG_REDACT_PATHS, []),
+  ],
+  censor: (value, path) => {
+    if (value === undefined) return value;
+    return path[path.length - 1] === 'x-api-key' ? keyPrefix(value) : CENSOR;
+  },
+});
+
+// Deep copy of `value` with every LOG_REDACT_FIELDS key censored.
+export const redactFields = (value) => {
+  if (Array.isArray(value)) return value.map(redactFields);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, FIELDS.has(k.toLowerCase()) ? CENSOR : redactFields(v)]));
+};
+
+const redactUrl = (url) => {
+  const i = url.indexOf('?');
+  if (i < 0) return url;
+  const params = new URLSearchParams(url.slice(i + 1));
+  for (const name of [...params.keys()]) if (QUERY.has(name)) params.set(name, CENSOR);
+  return `${url.slice(0, i)}?${params.toString()}`;
+};
+
+// pino-http `req` serializer: scrubs query secrets.
+export const requestSerializer = (req) => {
+  req.url = redactUrl(req.url);
+  if (req.query) req.query = Object.fromEntries(Object.entries(req.query).map(([k, v]) => [k, QUERY.has(k) ? CENSOR : v]));
+  return req;
+};
+
+// pino-http `customProps`: the parsed body on the completion log, when enabled.
+// (The serializer runs before any body parser has.)
+export const requestBodyProps = (req) => (LOG_BODIES && req.body !== undefined ? { body: redactFields(req.body) } : {});
@@ -0,0 +1,101 @@
+import Redis from 'ioredis';
+
+let client;
+
+// Shared Redis connection, or null when REDIS_URL is not configured. Callers
+// must treat every command as fallible and keep an in-memory fallback: the
+// client does not queue commands while disconnected.
+export const getRedis = (logger) => {
+  if (client !== undefined) return client;
+  if (!process.env.REDIS_URL) return (client = null);
+  client = new Redis(process.env.REDIS_URL, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  client.on('error', (err) => logger?.warn({ err: err.message }, 'redis error'));
+  return client;
+};
+
+// Whether commands can go to `redis` now; while it is missing or (re)connecting
+// callers use their in-memory fallback instead of failing every call.
+export const redisReady = (redis) => Boolean(redis) && (!redis.status || redis.status === 'ready');
+
+// Closes the shared connection on shutdown, after pending commands complete.
+export const closeRedis = async () => {
+  if (!client) return;
+  const closing = client;
+  client = undefined;
+  try {
+    await closing.quit();
+  } catch {
+    closing.disconnect();
+  }
+};
+
+// Small string key/value store with per-key TTL: Redis when available, process
+// memory otherwise (and whenever a Redis command fails). `setIfAbsent` is
+// atomic in Redis, so it can be used to claim a key across replicas.
+export const createKvStore = ({ redis, prefix, logger }) => {
+  const memory = new Map();
+  const live = (key) => {
+    const entry = memory.get(key);
+    if (entry && entry.expires <= Date.now()) memory.delete(key);
+    return memory.get(key);
+  };
+  const sweep = setInterval(() => {
+    for (const key of memory.keys()) live(key);
+  }, 60_000);
+  sweep.unref();
+
+  const fallback = (op, err) => logger?.warn({ err: err.message, op, prefix }, 'kv store using in-memory fallback');
+
+  return {
+    async get(key) {
+      if (redisReady(redis)) {
+        try {
+          return await redis.get(prefix + key);
+        } catch (e) {
+          fallback('get', e);
+        }
+      }
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      if (redisReady(redis)) {
+        try {
+          await redis.set(prefix + key, value, 'PX', Math.max(1, Math.ceil(ttlMs)));
+          return;
+        } catch (e) {
+          fallback('set', e);
+        }
+      }
+      memory.set(key, { value, expires: Date.now() + ttlMs });
+    },
+    // true if the key was written, false if it already existed
+    async setIfAbsent(key, value, ttlMs) {
+      if (redisReady(redis)) {
+        try {
+          return (await redis.set(prefix + key, value, 'PX', Math.max(1, Math.ceil(ttlMs)), 'NX')) === 'OK';
+        } catch (e) {
+          fallback('setIfAbsent', e);
+        }
+      }
+      if (live(key)) return false;
+      memory.set(key, { value, expires: Date.now() + ttlMs });
+      return true;
+    },
+    async del(key) {
+      if (redisReady(redis)) {
+        try {
+          await redis.del(prefix + key);
+        } catch (e) {
+          fallback('del', e);
+        }
+      }
+      memory.delete(key);
+    },
+    stop() {
+      clearInterval(sweep);
+    },
+  };
+};
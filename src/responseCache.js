@@ -0,0 +1,172 @@
+import crypto from 'node:crypto';
+import { callerKeyOf } from './tenantScope.js';
+import { getRedis, redisReady } from './redis.js';
+import { cacheLookups } from './metrics.js';
+
+// Gateway cache for read-heavy GETs. A manifest route opts in with
+//   cache: { ttlMs, tags }   – cache 200 JSON responses for up to ttlMs
+// and writes declare which cached data they change with
+//   invalidates: [tags]      – a 2xx response drops the caller tenant's entries
+// Entries are keyed by URL, tenant and locale (Accept-Language), so one
+// tenant's data is never served to another. Upstream `Cache-Control:
+// no-store|no-cache|private` disables caching, a shorter `max-age` shortens the
+// TTL, and the upstream ETag is kept so conditional requests get a 304. Identical
+// requests arriving while one is in flight wait for it instead of going upstream.
+//
+// Invalidation bumps a version per tag and tenant; entries embed the versions
+// they were stored under, so stale ones are simply never looked up again.
+// Memory LRU in front of Redis (when REDIS_URL is set).
+//   RESPONSE_CACHE=off                     – disable
+//   RESPONSE_CACHE_MAX_ENTRIES             – in-memory LRU size (default 5000)
+//   RESPONSE_CACHE_MAX_BYTES               – larger bodies are not cached (default 262144)
+const STORED_HEADERS = ['etag', 'last-modified', 'cache-control', 'content-language', 'vary'];
+
+const localeOf = (req) => String(req.headers['accept-language'] || '').split(/[,;]/)[0].trim().toLowerCase() || '-';
+
+// ttl allowed by the upstream's Cache-Control, or 0 when it forbids caching
+const upstreamTtl = (cacheControl, ttlMs) => {
+  const cc = String(cacheControl || '').toLowerCase();
+  if (/\b(no-store|no-cache|private)\b/.test(cc)) return 0;
+  const maxAge = /\bs-maxage=(\d+)/.exec(cc) || /\bmax-age=(\d+)/.exec(cc);
+  return maxAge ? Math.min(ttlMs, Number(maxAge[1]) * 1000) : ttlMs;
+};
+
+export const createResponseCache = ({
+  logger,
+  redis = getRedis(logger),
+  enabled = process.env.RESPONSE_CACHE !== 'off',
+  maxEntries = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES || 5000),
+  maxBytes = Number(process.env.RESPONSE_CACHE_MAX_BYTES || 262_144),
+} = {}) => {
+  const memory = new Map();
+  const versions = new Map();
+  const inFlight = new Map();
+
+  const versionKeys = (tags, tenant) => tags.map((tag) => `rcv:${tag}:${tenant}`);
+
+  const versionsOf = async (tags, tenant) => {
+    const keys = versionKeys(tags, tenant);
+    if (keys.length && redisReady(redis)) {
+      try {
+        return (await redis.mget(...keys)).map((v) => Number(v || 0));
+      } catch (e) {
+        logger?.warn({ err: e.message }, 'response cache versions unavailable');
+      }
+    }
+    return keys.map((k) => versions.get(k) || 0);
+  };
+
+  const invalidate = async (tags, tenant) => {
+    const keys = versionKeys(tags, tenant);
+    for (const k of keys) versions.set(k, (versions.get(k) || 0) + 1);
+    if (!redisReady(redis)) return;
+    try {
+      await Promise.all(keys.map((k) => redis.incr(k)));
+    } catch (e) {
+      logger?.warn({ err: e.message, tags, tenant }, 'response cache invalidation not shared');
+    }
+  };
+
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    if (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  };
+
+  const lookup = async (key) => {
+    const hit = memory.get(key);
+    if (hit && hit.expiresAt > Date.now()) {
+      remember(key, hit);
+      return hit;
+    }
+    memory.delete(key);
+    if (!redisReady(redis)) return null;
+    try {
+      const raw = await redis.get(`rc:${key}`);
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      remember(key, entry);
+      return entry;
+    } catch {
+      return null;
+    }
+  };
+
+  const store = async (key, entry, serialized) => {
+    remember(key, entry);
+    if (!redisReady(redis)) return;
+    try {
+      await redis.set(`rc:${key}`, serialized ?? JSON.stringify(entry), 'PX', Math.max(1, entry.expiresAt - Date.now()));
+    } catch {}
+  };
+
+  const send = (res, route, entry, status) => {
+    cacheLookups.inc({ route: route.path, result: 'hit' });
+    for (const [name, value] of Object.entries(entry.headers)) res.setHeader(name, value);
+    res.setHeader('Age', Math.floor((Date.now() - entry.storedAt) / 1000));
+    res.setHeader('X-Cache', status);
+    // res.json sets an ETag when upstream sent none and answers 304 if it matches
+    res.status(200).json(entry.body);
+  };
+
+  // Read side, for routes with `cache`; runs after the auth and entitlement guards.
+  const serve = (route) => async (req, res, next) => {
+    const tags = route.cache.tags || [];
+    const tenant = callerKeyOf(req);
+    const key = crypto
+      .createHash('sha256')
+      .update([route.path, req.originalUrl, tenant, localeOf(req), (await versionsOf(tags, tenant)).join('.')].join('\n'))
+      .digest('hex');
+
+    const bypass = /\bno-cache\b/.test(req.headers['cache-control'] || '');
+    if (!bypass) {
+      const entry = await lookup(key);
+      if (entry) return send(res, route, entry, 'HIT');
+      if (inFlight.has(key)) {
+        const shared = await inFlight.get(key);
+        if (shared) return send(res, route, shared, 'HIT');
+      }
+    }
+
+    let settle;
+    const pending = new Promise((resolve) => {
+      settle = resolve;
+    });
+    if (!inFlight.has(key)) inFlight.set(key, pending);
+    let captured;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      captured = body;
+      return json(body);
+    };
+    res.on('close', () => {
+      let entry = null;
+      const ttlMs = upstreamTtl(res.getHeader('cache-control'), route.cache.ttlMs);
+      const vary = String(res.getHeader('vary') || '');
+      if (res.statusCode === 200 && captured !== undefined && ttlMs > 0 && !vary.includes('*')) {
+        const headers = Object.fromEntries(STORED_HEADERS.filter((h) => res.getHeader(h) != null).map((h) => [h, res.getHeader(h)]));
+        const now = Date.now();
+        entry = { body: captured, headers, storedAt: now, expiresAt: now + ttlMs };
+        const serialized = JSON.stringify(entry);
+        if (serialized.length <= maxBytes) store(key, entry, serialized);
+        else entry = null;
+      }
+      if (inFlight.get(key) === pending) inFlight.delete(key);
+      settle(entry);
+    });
+    res.setHeader('X-Cache', bypass ? 'BYPASS' : 'MISS');
+    cacheLookups.inc({ route: route.path, result: bypass ? 'bypass' : 'miss' });
+    return next();
+  };
+
+  // Write side, for routes with `invalidates`.
+  const invalidateOn = (route) => (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+      invalidate(route.invalidates, callerKeyOf(req)).catch(() => {});
+    });
+    return next();
+  };
+
+  return { enabled, serve, invalidateOn, invalidate };
+};
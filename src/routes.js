@@ -0,0 +1,122 @@
+import * as schemas from './schemas.js';
+import * as transforms from './transforms.js';
+
+// Route manifest: every proxied /api route in one table.
+//   method   – HTTP verb (lower case, as used by express)
+//   path     – gateway path (express syntax)
+//   service  – key into src/services.js
+//   upstream – upstream path template; `:param` is filled from the gateway path params
+//   module / feature – entitlement(s) required to call the route; modules are
+//              deny-by-default (see src/entitlements.js)
+//   scope    – extra tenant identifier fields to check against the token, e.g.
+//              { id: 'business' } (tenantId/orgId/businessId are always checked)
+//   summary  – one-line description for the OpenAPI document
+//   body     – JSON Schema the request body is validated against (src/schemas.js)
+//   metric   – usage metric reported to the metering service for writes
+//              (every mutating route is metered; default `<service>.<method>`)
+//   stream   – pipe the request body through unparsed (multipart uploads etc.)
+//   bodyLimit – JSON body size limit for this route (default JSON_BODY_LIMIT)
+//   cache    – { ttlMs, tags }: serve GETs from the gateway cache (src/responseCache.js)
+//   invalidates – cache tags a successful write makes stale for the caller's tenant
+//   audit    – resource type; writes are recorded in the audit trail (src/audit.js)
+//   clientAudit – caller-submitted audit events: actor and tenant are taken from the token
+//   publishes – live event type pushed to the business's stream after a 2xx (src/stream.js)
+//   versions / since – per-version overrides and transforms; paths are written
+//              unversioned and served as /api/v1/..., /api/v2/... (src/versions.js)
+export const routes = [
+  // ---- ORG-SERVICE ----
+  { method: 'get', path: '/api/org/:id', service: 'org', upstream: '/org/:id', scope: { id: 'org' } },
+  { method: 'post', path: '/api/org', service: 'org', upstream: '/org', metric: 'org.create', audit: 'org' },
+  { method: 'get', path: '/api/brand', service: 'org', upstream: '/brand', cache: { ttlMs: 300_000, tags: ['brand'] } },
+  { method: 'post', path: '/api/brand', service: 'org', upstream: '/brand', metric: 'brand.create', invalidates: ['brand'], audit: 'brand' },
+  { method: 'get', path: '/api/business', service: 'org', upstream: '/business' },
+  { method: 'post', path: '/api/business', service: 'org', upstream: '/business', metric: 'business.create', audit: 'business' },
+  { method: 'get', path: '/api/business/:id', service: 'org', upstream: '/business/:id', scope: { id: 'business' } },
+  { method: 'patch', path: '/api/business/:id', service: 'org', upstream: '/business/:id', scope: { id: 'business' }, metric: 'business.update', audit: 'business' },
+  { method: 'get', path: '/api/franchise', service: 'org', upstream: '/franchise' },
+  { method: 'post', path: '/api/franchise', service: 'org', upstream: '/franchise', metric: 'franchise.create', audit: 'franchise' },
+  { method: 'get', path: '/api/franchise/:id', service: 'org', upstream: '/franchise/:id' },
+  { method: 'patch', path: '/api/franchise/:id', service: 'org', upstream: '/franchise/:id', metric: 'franchise.update', audit: 'franchise' },
+
+  // ---- FORMS-SERVICE ----
+  { method: 'post', path: '/api/forms', service: 'forms', upstream: '/forms', module: 'forms', body: schemas.formCreate, metric: 'forms.create', invalidates: ['forms'] },
+  { method: 'get', path: '/api/forms/by-code/:code', service: 'forms', upstream: '/forms/by-code/:code', module: 'forms', cache: { ttlMs: 60_000, tags: ['forms'] } },
+  { method: 'get', path: '/api/forms/:id', service: 'forms', upstream: '/forms/:id', module: 'forms' },
+  { method: 'patch', path: '/api/forms/:id', service: 'forms', upstream: '/forms/:id', module: 'forms', metric: 'forms.update', invalidates: ['forms'] },
+  { method: 'delete', path: '/api/forms/:id', service: 'forms', upstream: '/forms/:id', module: 'forms', metric: 'forms.delete', invalidates: ['forms'] },
+  { method: 'post', path: '/api/forms/:id/attachments', service: 'forms', upstream: '/forms/:id/attachments', module: 'forms', stream: true, metric: 'forms.attachment' },
+  { method: 'get', path: '/api/forms/:id/attachments/:attachmentId', service: 'forms', upstream: '/forms/:id/attachments/:attachmentId', module: 'forms' },
+  { method: 'post', path: '/api/franchise/:id/forms', service: 'forms', upstream: '/franchise/:id/forms', module: 'forms', metric: 'forms.create', invalidates: ['forms'] },
+
+  // ---- SUBMISSIONS-SERVICE ----
+  { method: 'post', path: '/api/submissions', service: 'submissions', upstream: '/submissions', module: 'submissions', body: schemas.submissionCreate, metric: 'submissions.create', publishes: 'submission.created' },
+  { method: 'get', path: '/api/submissions/by-business/:businessId', service: 'submissions', upstream: '/submissions/by-business/:businessId', module: 'submissions', versions: { v2: { response: transforms.listEnvelope } } },
+
+  // ---- DISCOUNTS-SERVICE ----
+  { method: 'post', path: '/api/discounts/mark-used', service: 'discounts', upstream: '/discounts/mark-used', module: 'discounts', body: schemas.discountMarkUsed, metric: 'discounts.redeem', audit: 'discount' },
+  { method: 'get', path: '/api/discounts/:accessKey', service: 'discounts', upstream: '/discounts/:accessKey', module: 'discounts' },
+
+  // ---- STAFF-SERVICE ----
+  { method: 'post', path: '/api/staff', service: 'staff', upstream: '/staff', module: 'staff', body: schemas.staffCreate, metric: 'staff.create', audit: 'staff' },
+  { method: 'get', path: '/api/staff', service: 'staff', upstream: '/staff', module: 'staff', versions: { v2: { response: transforms.listEnvelope } } },
+  { method: 'patch', path: '/api/staff/:id', service: 'staff', upstream: '/staff/:id', module: 'staff', metric: 'staff.update', audit: 'staff' },
+  { method: 'delete', path: '/api/staff/:id', service: 'staff', upstream: '/staff/:id', module: 'staff', metric: 'staff.delete', audit: 'staff' },
+  { method: 'post', path: '/api/staff/:id/schedule', service: 'staff', upstream: '/staff/:id/schedule', module: 'staff', metric: 'staff.schedule', audit: 'staff' },
+  { method: 'get', path: '/api/staff/:id/schedule', service: 'staff', upstream: '/staff/:id/schedule', module: 'staff' },
+
+  // ---- NOTIFICATIONS-SERVICE ----
+  { method: 'get', path: '/api/notifications/rules', service: 'notifications', upstream: '/rules' },
+
+  // ---- REPORTING-SERVICE ----
+  { method: 'get', path: '/api/reports/live/:businessId', service: 'reporting', upstream: '/reports/live/:businessId', feature: 'reports' },
+
+  // ---- TRANSLATION-SERVICE ----
+  { method: 'get', path: '/api/i18n/:namespace', service: 'translation', upstream: '/i18n/:namespace', feature: 'i18n', cache: { ttlMs: 600_000, tags: ['i18n'] } },
+
+  // ---- FEATURE-FLAGS-SERVICE ----
+  { method: 'get', path: '/api/flags/:tenantId', service: 'featureFlags', upstream: '/flags/:tenantId', cache: { ttlMs: 30_000, tags: ['flags'] } },
+
+  // ---- API-PROGRAM-SERVICE ----
+  { method: 'get', path: '/api/api-keys/:tenantId', service: 'apiProgram', upstream: '/api-keys/:tenantId' },
+
+  // ---- SEARCH-SERVICE ----
+  { method: 'get', path: '/api/search', service: 'search', upstream: '/search' },
+
+  // ---- METERING-SERVICE ----
+  { method: 'get', path: '/api/usage/:tenantId', service: 'metering', upstream: '/usage/:tenantId' },
+
+  // ---- INTEGRATION-HUB-SERVICE ----
+  { method: 'get', path: '/api/webhooks', service: 'integrationHub', upstream: '/webhooks', feature: 'integrationHub' },
+
+  // ---- EXPORT-SCHEDULER-SERVICE ----
+  { method: 'get', path: '/api/schedules', service: 'exportScheduler', upstream: '/schedules', feature: 'exportScheduler' },
+
+  // ---- AI/ML-SERVICE ----
+  { method: 'post', path: '/api/ai-ml/analyze/sentiment', service: 'aiMl', upstream: '/analyze/sentiment', metric: 'ai.sentiment' },
+  { method: 'post', path: '/api/ai-ml/analyze/topics', service: 'aiMl', upstream: '/analyze/topics', metric: 'ai.topics' },
+  { method: 'get', path: '/api/ai-ml/insights/:tenantId', service: 'aiMl', upstream: '/insights/:tenantId' },
+
+  // ---- AUDIT-SERVICE ----
+  { method: 'post', path: '/api/audit/log', service: 'audit', upstream: '/audit/log', clientAudit: true },
+  { method: 'get', path: '/api/audit/:tenantId', service: 'audit', upstream: '/audit/:tenantId' },
+
+  // ---- TENANT-ISOLATION-SERVICE ----
+  { method: 'get', path: '/api/tenants/:tenantId', service: 'tenantIsolation', upstream: '/tenants/:tenantId' },
+  { method: 'post', path: '/api/tenant-isolation/validate-access', service: 'tenantIsolation', upstream: '/validate-access' },
+];
+
+// Public channel: anonymous routes for customer-facing feedback forms, served
+// by src/publicChannel.js without a token, entitlements or tenant scope. Same
+// fields as above, plus
+//   form      – where the form identifier lives (`params.code`, `body.formId`);
+//               requests are rate limited per form as well as per IP
+//   challenge – writes must carry a CAPTCHA / proof-of-work token (when a
+//               verifier is configured, see src/challenge.js)
+//   cors      – 'public': any CORS_PUBLIC_ORIGINS origin may call it, without
+//               credentials (embedded forms). Only anonymous routes can be public;
+//               everything else follows the allowlist in src/cors.js
+export const publicRoutes = [
+  { method: 'get', path: '/public/v1/forms/by-code/:code', service: 'forms', upstream: '/forms/by-code/:code', form: 'params.code', cors: 'public', summary: 'Published form by its public code' },
+  { method: 'post', path: '/public/v1/submissions', service: 'submissions', upstream: '/submissions', form: 'body.formId', challenge: true, body: schemas.publicSubmissionCreate, bodyLimit: '16kb', metric: 'submissions.public_create', publishes: 'submission.created', cors: 'public', summary: 'Anonymous form submission' },
+  { method: 'get', path: '/public/v1/discounts/:accessKey', service: 'discounts', upstream: '/discounts/:accessKey', cors: 'public', summary: 'Discount issued to a respondent' },
+];
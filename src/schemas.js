@@ -0,0 +1,74 @@
+// JSON Schemas (2020-12) for request bodies the gateway validates before
+// proxying. Referenced from the route manifest as `body` and published in the
+// OpenAPI document. Schemas only pin what the gateway relies on; upstream
+// services remain the authority on everything else.
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+
+export const formCreate = {
+  type: 'object',
+  required: ['businessId', 'title'],
+  properties: {
+    businessId: id,
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 2000 },
+    locale: { type: 'string', maxLength: 16 },
+    questions: { type: 'array', maxItems: 200, items: { type: 'object' } },
+  },
+};
+
+export const staffCreate = {
+  type: 'object',
+  required: ['businessId', 'name'],
+  properties: {
+    businessId: id,
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    email: { type: 'string', maxLength: 320, pattern: '^[^@\\s]+@[^@\\s]+$' },
+    role: { type: 'string', maxLength: 64 },
+  },
+};
+
+export const submissionCreate = {
+  type: 'object',
+  required: ['formId', 'answers'],
+  properties: {
+    formId: id,
+    businessId: id,
+    answers: { type: ['array', 'object'] },
+    locale: { type: 'string', maxLength: 16 },
+  },
+};
+
+export const discountMarkUsed = {
+  type: 'object',
+  required: ['accessKey'],
+  properties: {
+    accessKey: id,
+    businessId: id,
+  },
+};
+
+// Anonymous submissions through /public/v1: tighter field limits, no extras.
+const answerValue = {
+  type: ['string', 'number', 'boolean', 'array', 'object', 'null'],
+  maxLength: 5000,
+  maxItems: 50,
+  maxProperties: 20,
+};
+
+export const publicSubmissionCreate = {
+  type: 'object',
+  required: ['formId', 'answers'],
+  additionalProperties: false,
+  properties: {
+    formId: id,
+    businessId: id,
+    answers: {
+      type: ['array', 'object'],
+      maxItems: 100,
+      maxProperties: 100,
+      items: { type: 'object', maxProperties: 10, additionalProperties: answerValue },
+      additionalProperties: answerValue,
+    },
+    locale: { type: 'string', maxLength: 16 },
+  },
+};
@@ -0,0 +1,25 @@
+// Downstream service registry: one entry per upstream, keyed by the name the
+// route manifest refers to. `name` is used in logs and 502 messages. Optional
+// `timeoutMs`, `connectTimeoutMs` and `retries` override the upstream client
+// defaults (see src/upstream.js). The config file can override any of these at
+// runtime; src/config.js updates the entries in place on reload.
+export const services = {
+  org: { name: 'org-service', baseUrl: process.env.ORG_SERVICE_URL || 'http://localhost:7003' },
+  forms: { name: 'forms-service', baseUrl: process.env.FORMS_SERVICE_URL || 'http://localhost:7004' },
+  submissions: { name: 'submissions-service', baseUrl: process.env.SUBMISSIONS_SERVICE_URL || 'http://localhost:3005' },
+  discounts: { name: 'discounts-service', baseUrl: process.env.DISCOUNTS_SERVICE_URL || 'http://localhost:3006' },
+  staff: { name: 'staff-service', baseUrl: process.env.STAFF_SERVICE_URL || 'http://localhost:3007' },
+  notifications: { name: 'notifications-service', baseUrl: process.env.NOTIFICATIONS_SERVICE_URL || 'http://localhost:3008' },
+  reporting: { name: 'reporting-service', baseUrl: process.env.REPORTING_SERVICE_URL || 'http://localhost:3009', timeoutMs: 15000 },
+  translation: { name: 'translation-service', baseUrl: process.env.TRANSLATION_SERVICE_URL || 'http://localhost:3010' },
+  featureFlags: { name: 'feature-flags-service', baseUrl: process.env.FEATURE_FLAGS_SERVICE_URL || 'http://localhost:3011' },
+  apiProgram: { name: 'api-program-service', baseUrl: process.env.API_PROGRAM_SERVICE_URL || 'http://localhost:3012' },
+  search: { name: 'search-service', baseUrl: process.env.SEARCH_SERVICE_URL || 'http://localhost:3013' },
+  metering: { name: 'metering-service', baseUrl: process.env.METERING_SERVICE_URL || 'http://localhost:3014' },
+  integrationHub: { name: 'integration-hub-service', baseUrl: process.env.INTEGRATION_HUB_SERVICE_URL || 'http://localhost:3015' },
+  exportScheduler: { name: 'export-scheduler-service', baseUrl: process.env.EXPORT_SCHED_SERVICE_URL || 'http://localhost:3016', timeoutMs: 15000 },
+  aiMl: { name: 'ai-ml-service', baseUrl: process.env.AI_ML_SERVICE_URL || 'http://localhost:3017', timeoutMs: 15000 },
+  audit: { name: 'audit-service', baseUrl: process.env.AUDIT_SERVICE_URL || 'http://localhost:3018' },
+  identity: { name: 'identity-service', baseUrl: process.env.IDENTITY_SERVICE_URL || 'http://localhost:3020' },
+  tenantIsolation: { name: 'tenant-isolation-service', baseUrl: process.env.TENANT_ISOLATION_SERVICE_URL || 'http://localhost:3019' },
+};
@@ -0,0 +1,251 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { services } from './services.js';
+import { upstreamFetch } from './upstream.js';
+import { outboundHeaders } from './outboundHeaders.js';
+import { sendUpstreamError } from './proxy.js';
+import { recordAudit } from './audit.js';
+import { createKvStore, getRedis } from './redis.js';
+import { createKeyedLimiter } from './rateLimit.js';
+
+// Browser sessions: /auth/login, /auth/refresh, /auth/logout.
+//
+// Login checks credentials with the identity service and issues a short-lived
+// access token (src/jwtAuth.js) plus an opaque refresh token. By default both
+// go into httpOnly cookies, with a readable CSRF cookie for the double-submit
+// check; clients that send `"mode": "token"` get them in the body instead.
+//
+// Refresh tokens rotate on every use. Each login starts a token family; using
+// an already-rotated refresh token revokes the whole family. Logout revokes
+// the family and puts the access token's jti on a denylist until it expires.
+export const ACCESS_COOKIE = 'keephy_at';
+export const REFRESH_COOKIE = 'keephy_rt';
+export const CSRF_COOKIE = 'keephy_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const LOGIN_PATH = process.env.IDENTITY_LOGIN_PATH || '/auth/login';
+const ACCESS_TTL_S = Number(process.env.AUTH_ACCESS_TTL_S || 900);
+const REFRESH_TTL_MS = Number(process.env.AUTH_REFRESH_TTL_S || 14 * 86_400) * 1000;
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const LOGIN_WINDOW_MS = Number(process.env.AUTH_LOGIN_WINDOW_MS || 15 * 60_000);
+const LOGIN_IP_LIMIT = Number(process.env.AUTH_LOGIN_IP_LIMIT || 30);
+const LOGIN_USER_LIMIT = Number(process.env.AUTH_LOGIN_USER_LIMIT || 5);
+const REFRESH_WINDOW_MS = Number(process.env.AUTH_REFRESH_WINDOW_MS || 60_000);
+const REFRESH_IP_LIMIT = Number(process.env.AUTH_REFRESH_IP_LIMIT || 60);
+
+const cookieOptions = (extra) => ({
+  httpOnly: true,
+  secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+  sameSite: 'lax',
+  ...(process.env.AUTH_COOKIE_DOMAIN && { domain: process.env.AUTH_COOKIE_DOMAIN }),
+  ...extra,
+});
+
+export const parseCookies = (header = '') =>
+  Object.fromEntries(
+    header
+      .split(';')
+      .map((part) => part.trim().split('='))
+      .filter(([name, ...rest]) => name && rest.length)
+      .map(([name, ...rest]) => {
+        try {
+          return [name, decodeURIComponent(rest.join('='))];
+        } catch {
+          return [name, rest.join('=')];
+        }
+      })
+  );
+
+const hashOf = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// stored refresh token record, or null if it is missing or unreadable
+const recordOf = (raw) => {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+const usernameOf = (req) => String(req.body?.email || req.body?.username || '').trim().toLowerCase();
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const sameToken = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// Double-submit CSRF check for requests authenticated by cookie.
+export const hasValidCsrf = (req) => SAFE_METHODS.has(req.method) || sameToken(req.headers[CSRF_HEADER], req.cookies?.[CSRF_COOKIE]);
+
+export const createSessionService = ({ logger, issuer, verifier, redis = getRedis(logger) }) => {
+  const refreshTokens = createKvStore({ redis, prefix: 'rt:', logger });
+  const rotated = createKvStore({ redis, prefix: 'rtu:', logger });
+  const families = createKvStore({ redis, prefix: 'rtf:', logger });
+  const denylist = createKvStore({ redis, prefix: 'deny:', logger });
+
+  const issue = async (res, claims, family, mode) => {
+    const { token: accessToken } = issuer.sign({ ...claims, sid: family });
+    const refreshToken = randomToken();
+    await refreshTokens.set(hashOf(refreshToken), JSON.stringify({ claims, family }), REFRESH_TTL_MS);
+    if (mode === 'token') {
+      return { tokenType: 'Bearer', accessToken, refreshToken, expiresIn: issuer.ttlS };
+    }
+    const csrfToken = randomToken();
+    res.cookie(ACCESS_COOKIE, accessToken, cookieOptions({ maxAge: issuer.ttlS * 1000 }));
+    res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions({ maxAge: REFRESH_TTL_MS, path: '/auth', sameSite: 'strict' }));
+    res.cookie(CSRF_COOKIE, csrfToken, cookieOptions({ maxAge: REFRESH_TTL_MS, httpOnly: false }));
+    return { expiresIn: issuer.ttlS, csrfToken };
+  };
+
+  const clearCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions());
+    res.clearCookie(REFRESH_COOKIE, cookieOptions({ path: '/auth', sameSite: 'strict' }));
+    res.clearCookie(CSRF_COOKIE, cookieOptions({ httpOnly: false }));
+  };
+
+  const revokeFamily = (family) => families.set(family, 'revoked', REFRESH_TTL_MS);
+
+  // Put an access token on the denylist until it would have expired anyway.
+  // Only tokens that verify are stored, for no longer than we issue them for:
+  // logout is unauthenticated, so anything else would let a caller fill the
+  // denylist with forged entries.
+  const revokeAccessToken = async (token) => {
+    if (!token || !verifier) return;
+    let claims;
+    try {
+      claims = await verifier.verify(token);
+    } catch {
+      return;
+    }
+    if (!claims?.jti || !claims.exp) return;
+    const ttlMs = Math.min(claims.exp * 1000 - Date.now(), (issuer?.ttlS ?? ACCESS_TTL_S) * 1000);
+    if (ttlMs > 0) await denylist.set(claims.jti, '1', ttlMs);
+  };
+
+  const isRevoked = async (claims) => {
+    if (claims?.jti && (await denylist.get(claims.jti))) return true;
+    return Boolean(claims?.sid && (await families.get(claims.sid)));
+  };
+
+  const login = async (req, res) => {
+    if (!issuer) return res.status(501).json({ message: 'Login not configured', requestId: req.id });
+    const { mode, ...credentials } = req.body || {};
+    let r;
+    try {
+      r = await upstreamFetch('identity', LOGIN_PATH, {
+        method: 'POST',
+        headers: { ...outboundHeaders(req), 'content-type': 'application/json' },
+        body: JSON.stringify(credentials),
+      });
+    } catch (e) {
+      return sendUpstreamError(req, res, services.identity, e);
+    }
+    if (r.status === 401 || r.status === 403) {
+      recordAudit({ action: 'auth.login', outcome: 'denied', actor: credentials.email || credentials.username || null, requestId: req.id }, req);
+      return res.status(401).json({ message: 'Invalid credentials', requestId: req.id });
+    }
+    if (!r.ok) return res.status(502).json({ message: `${services.identity.name} unavailable`, requestId: req.id });
+    let user;
+    try {
+      const body = await r.json();
+      user = body.user || body;
+      if (!user?.id) throw new Error('identity response has no user id');
+    } catch (e) {
+      return sendUpstreamError(req, res, services.identity, e);
+    }
+    const claims = { id: user.id, roles: user.roles || [], scopes: user.scopes || {} };
+    const family = crypto.randomUUID();
+    const result = await issue(res, claims, family, mode);
+    recordAudit({ action: 'auth.login', outcome: 'success', actor: user.id, tenantId: claims.scopes.orgId || null, requestId: req.id }, req);
+    res.json({ ...result, user: claims, requestId: req.id });
+  };
+
+  const refresh = async (req, res) => {
+    if (!issuer) return res.status(501).json({ message: 'Login not configured', requestId: req.id });
+    const fromCookie = !req.body?.refreshToken;
+    const token = req.body?.refreshToken || req.cookies[REFRESH_COOKIE];
+    if (!token) return res.status(401).json({ message: 'Missing refresh token', requestId: req.id });
+    if (fromCookie && !hasValidCsrf(req)) return res.status(403).json({ message: 'CSRF token mismatch', code: 'CSRF_FAILED', requestId: req.id });
+    const hash = hashOf(token);
+    const record = recordOf(await refreshTokens.get(hash));
+    if (!record || (await families.get(record.family))) {
+      if (fromCookie) clearCookies(res);
+      return res.status(401).json({ message: 'Invalid refresh token', code: 'REFRESH_INVALID', requestId: req.id });
+    }
+    // claim the token; a second use means it leaked, so the family is burned
+    if (!(await rotated.setIfAbsent(hash, '1', REFRESH_TTL_MS))) {
+      await revokeFamily(record.family);
+      req.log.warn({ family: record.family, userId: record.claims.id }, 'refresh token reuse detected');
+      recordAudit({ action: 'auth.refresh_reuse', outcome: 'denied', actor: record.claims.id, tenantId: record.claims.scopes?.orgId || null, requestId: req.id }, req);
+      if (fromCookie) clearCookies(res);
+      return res.status(401).json({ message: 'Invalid refresh token', code: 'REFRESH_REUSED', requestId: req.id });
+    }
+    const result = await issue(res, record.claims, record.family, fromCookie ? 'cookie' : 'token');
+    res.json({ ...result, requestId: req.id });
+  };
+
+  const logout = async (req, res) => {
+    const fromCookie = !req.body?.refreshToken && !req.headers.authorization;
+    if (fromCookie && !hasValidCsrf(req)) return res.status(403).json({ message: 'CSRF token mismatch', code: 'CSRF_FAILED', requestId: req.id });
+    const token = req.body?.refreshToken || req.cookies[REFRESH_COOKIE];
+    const record = token && recordOf(await refreshTokens.get(hashOf(token)));
+    if (record?.family) await revokeFamily(record.family);
+    const auth = req.headers.authorization || '';
+    await revokeAccessToken(auth.startsWith('Bearer ') ? auth.slice(7) : req.cookies[ACCESS_COOKIE]);
+    clearCookies(res);
+    res.json({ loggedOut: true, requestId: req.id });
+  };
+
+  const stop = () => [refreshTokens, rotated, families, denylist].forEach((store) => store.stop());
+
+  return { login, refresh, logout, isRevoked, stop };
+};
+
+// Anything a handler did not answer itself (token signing, a bug) ends in a
+// 500 instead of a hung request and an unhandled rejection.
+const guarded = (handler) => async (req, res, next) => {
+  try {
+    await handler(req, res);
+  } catch (e) {
+    if (res.headersSent) return next(e);
+    req.log.error({ err: e, path: req.path }, 'auth request failed');
+    res.status(500).json({ message: 'Authentication failed', requestId: req.id });
+  }
+};
+
+// Login is limited per client IP (every attempt) and per username (failed
+// attempts only), refresh and logout share a per-IP limit. Returns { stop } for the limiters.
+export const mountAuthRoutes = (app, session, { logger, redis = getRedis(logger) } = {}) => {
+  const json = express.json({ limit: '10kb' });
+  const limiters = [
+    createKeyedLimiter({ logger, redis, name: 'auth-login-ip', group: 'auth', limit: LOGIN_IP_LIMIT, windowMs: LOGIN_WINDOW_MS, keyGenerator: (req) => req.ip }),
+    createKeyedLimiter({
+      logger,
+      redis,
+      name: 'auth-login-user',
+      group: 'auth',
+      limit: LOGIN_USER_LIMIT,
+      windowMs: LOGIN_WINDOW_MS,
+      keyGenerator: (req) => hashOf(usernameOf(req)),
+      skip: (req) => !usernameOf(req),
+      skipSuccessfulRequests: true,
+      requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    }),
+    createKeyedLimiter({ logger, redis, name: 'auth-refresh-ip', group: 'auth', limit: REFRESH_IP_LIMIT, windowMs: REFRESH_WINDOW_MS, keyGenerator: (req) => req.ip }),
+  ];
+  const [loginPerIp, loginPerUser, refreshPerIp] = limiters;
+  app.post('/auth/login', loginPerIp, json, loginPerUser, guarded(session.login));
+  app.post('/auth/refresh', refreshPerIp, json, guarded(session.refresh));
+  app.post('/auth/logout', refreshPerIp, json, guarded(session.logout));
+  return { stop: () => limiters.forEach((limiter) => limiter.stop()) };
+};
+
+// Parses the Cookie header into req.cookies for every request.
+export const cookies = (req, res, next) => {
+  req.cookies = parseCookies(req.headers.cookie);
+  next();
+};
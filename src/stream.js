@@ -0,0 +1,307 @@
+import crypto from 'node:crypto';
+import { upstreamFetch } from './upstream.js';
+import { buildUpstreamUrl } from './proxy.js';
+import { services } from './services.js';
+import { outboundHeaders } from './outboundHeaders.js';
+import { findMissingEntitlement } from './entitlements.js';
+import { callerKeyOf, requireTenantScope } from './tenantScope.js';
+import { createKvStore, getRedis, redisReady } from './redis.js';
+import { expandVersions } from './versions.js';
+
+// Server-Sent Events push channel: GET /api/v1/stream/business/:businessId.
+//
+// Events come from two places: upstream feeds the gateway polls while anyone
+// is listening (at most one replica per feed and business, guarded by a Redis
+// lock; an event is emitted only when the payload changed), and writes the
+// gateway proxies itself (manifest `publishes`). Every event gets a
+// per-business sequence number, is kept in a short replay log and published on
+// Redis, so all replicas fan it out to their clients. Without Redis it all
+// stays in process.
+//
+// Clients get only the event types their tenant is entitled to, a heartbeat
+// comment every STREAM_HEARTBEAT_MS, and can resume with Last-Event-ID. A client
+// that stops reading is disconnected once STREAM_MAX_BUFFERED_BYTES pile up (it
+// reconnects and resumes). STREAM_MAX_PER_TENANT caps open streams per tenant.
+//   type   – event name; service / upstream / query / module / feature as in src/composites.js
+//   events – further event types (from `publishes` writes) covered by the same entitlements
+export const liveFeeds = [
+  { type: 'report', service: 'reporting', upstream: '/reports/live/:businessId', feature: 'reports', pollMs: 5000 },
+  { type: 'submissions', service: 'submissions', upstream: '/submissions/by-business/:businessId', query: { limit: '20' }, module: 'submissions', pollMs: 10_000, events: ['submission.created'] },
+  // like /api/notifications/*, open to every tenant: no stream is ever empty
+  { type: 'notifications', service: 'notifications', upstream: '/notifications/by-business/:businessId', pollMs: 10_000 },
+];
+
+// Versioned like a manifest route (src/versions.js): /api/v1/..., /api/v2/...,
+// and the deprecated unversioned /api/... alias.
+export const STREAM_PATH = '/api/stream/business/:businessId';
+
+export const streamRoutes = (versions) => expandVersions([{ method: 'get', path: STREAM_PATH }], versions);
+
+const CHANNEL_PREFIX = 'stream:business:';
+
+// Feeds are shared by every subscriber of a business, so polls never carry a
+// subscriber's identity: they run as the gateway, scoped to that business.
+const POLL_ROLES = (process.env.STREAM_POLL_ROLES || 'gateway_service').split(',').map((s) => s.trim()).filter(Boolean);
+const pollerOf = (businessId) => ({ id: 'gateway:live-stream', roles: POLL_ROLES, scopes: { businesses: [businessId] } });
+
+const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+export const createLiveStream = ({
+  logger,
+  redis = getRedis(logger),
+  feeds = liveFeeds,
+  heartbeatMs = Number(process.env.STREAM_HEARTBEAT_MS || 15_000),
+  maxPerTenant = Number(process.env.STREAM_MAX_PER_TENANT || 50),
+  maxBufferedBytes = Number(process.env.STREAM_MAX_BUFFERED_BYTES || 1_048_576),
+  replaySize = Number(process.env.STREAM_REPLAY_SIZE || 100),
+} = {}) => {
+  const clients = new Map(); // businessId -> Set<client>
+  const pollers = new Map(); // businessId -> { timers }
+  const localSeq = new Map();
+  const localLog = new Map();
+  const localConns = new Map();
+  const lastPayload = createKvStore({ redis, prefix: 'stream:hash:', logger });
+
+  // ---- FAN-OUT ----
+  const deliver = (client, event) => {
+    if (client.replaying) return client.queue.push(event);
+    if (event.id <= client.lastId || !client.types.has(event.type)) return;
+    client.lastId = event.id;
+    if (client.res.writableLength > maxBufferedBytes) {
+      logger?.warn({ businessId: client.businessId, tenant: client.tenant }, 'stream client too slow, disconnecting');
+      return client.res.end();
+    }
+    client.res.write(format(event));
+  };
+
+  const deliverLocal = (businessId, event) => {
+    for (const client of clients.get(businessId) || []) deliver(client, event);
+  };
+
+  let subscriber = null;
+  if (redis) {
+    subscriber = redis.duplicate();
+    subscriber.on('error', (err) => logger?.warn({ err: err.message }, 'stream subscriber error'));
+    subscriber.on('ready', () => subscriber.psubscribe(`${CHANNEL_PREFIX}*`).catch(() => {}));
+    subscriber.on('pmessage', (pattern, channel, message) => {
+      try {
+        deliverLocal(channel.slice(CHANNEL_PREFIX.length), JSON.parse(message));
+      } catch (e) {
+        logger?.warn({ err: e.message, channel }, 'bad stream message');
+      }
+    });
+  }
+
+  const publish = async (businessId, type, data) => {
+    if (redisReady(redis)) {
+      try {
+        const id = await redis.incr(`stream:seq:${businessId}`);
+        const event = { id, type, data, at: new Date().toISOString() };
+        const logKey = `stream:log:${businessId}`;
+        await redis.multi().lpush(logKey, JSON.stringify(event)).ltrim(logKey, 0, replaySize - 1).pexpire(logKey, 86_400_000).exec();
+        await redis.publish(`${CHANNEL_PREFIX}${businessId}`, JSON.stringify(event));
+        return;
+      } catch (e) {
+        logger?.warn({ err: e.message, businessId }, 'stream publish via redis failed, delivering locally');
+      }
+    }
+    const id = (localSeq.get(businessId) || 0) + 1;
+    localSeq.set(businessId, id);
+    const event = { id, type, data, at: new Date().toISOString() };
+    const log = [event, ...(localLog.get(businessId) || [])].slice(0, replaySize);
+    localLog.set(businessId, log);
+    deliverLocal(businessId, event);
+  };
+
+  const replayLog = async (businessId) => {
+    if (redisReady(redis)) {
+      try {
+        return (await redis.lrange(`stream:log:${businessId}`, 0, -1)).map((raw) => JSON.parse(raw));
+      } catch {}
+    }
+    return localLog.get(businessId) || [];
+  };
+
+  // ---- UPSTREAM FEEDS ----
+  // One replica polls each feed per interval; the rest skip while the lock is held.
+  const claimPoll = async (feed, businessId) => {
+    if (!redisReady(redis)) return true;
+    try {
+      return (await redis.set(`stream:poll:${feed.type}:${businessId}`, '1', 'PX', Math.max(1, feed.pollMs - 100), 'NX')) === 'OK';
+    } catch {
+      return true;
+    }
+  };
+
+  // Polls run as the gateway's poller principal, with a fresh request id,
+  // trace and internal token each time.
+  const poll = async (feed, businessId) => {
+    if (!(await claimPoll(feed, businessId))) return;
+    try {
+      const url = buildUpstreamUrl(services[feed.service].baseUrl, feed.upstream, { businessId }, feed.query);
+      const headers = outboundHeaders({ id: crypto.randomUUID(), headers: {}, user: pollerOf(businessId) });
+      const r = await upstreamFetch(feed.service, url, { headers });
+      if (!r.ok) {
+        r.body?.resume();
+        return;
+      }
+      const data = await r.json();
+      const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+      const key = `${feed.type}:${businessId}`;
+      if ((await lastPayload.get(key)) === hash) return;
+      await lastPayload.set(key, hash, 3_600_000);
+      await publish(businessId, feed.type, data);
+    } catch (e) {
+      logger?.warn({ err: e.message, feed: feed.type, businessId }, 'stream feed poll failed');
+    }
+  };
+
+  const startPolling = (businessId) => {
+    if (pollers.has(businessId)) return;
+    const timers = feeds.map((feed) => {
+      const timer = setInterval(() => poll(feed, businessId), feed.pollMs);
+      timer.unref();
+      poll(feed, businessId);
+      return timer;
+    });
+    pollers.set(businessId, { timers });
+  };
+
+  const stopPolling = (businessId) => {
+    pollers.get(businessId)?.timers.forEach(clearInterval);
+    pollers.delete(businessId);
+  };
+
+  // ---- CONNECTION LIMITS ----
+  // Redis sorted set per tenant (connection id -> last heartbeat), so the cap
+  // holds across replicas and crashed replicas' entries age out.
+  const connsKey = (tenant) => `stream:conns:${tenant}`;
+
+  const admit = async (tenant, connId) => {
+    if (redisReady(redis)) {
+      try {
+        const now = Date.now();
+        const [, [, count]] = await redis.multi().zremrangebyscore(connsKey(tenant), 0, now - heartbeatMs * 3).zcard(connsKey(tenant)).exec();
+        if (count >= maxPerTenant) return false;
+        await redis.zadd(connsKey(tenant), now, connId);
+        return true;
+      } catch {}
+    }
+    const open = localConns.get(tenant) || new Set();
+    if (open.size >= maxPerTenant) return false;
+    localConns.set(tenant, open.add(connId));
+    return true;
+  };
+
+  const release = (tenant, connId) => {
+    localConns.get(tenant)?.delete(connId);
+    if (redisReady(redis)) redis.zrem(connsKey(tenant), connId).catch(() => {});
+  };
+
+  const heartbeat = setInterval(() => {
+    const now = Date.now();
+    for (const set of clients.values()) {
+      for (const client of set) {
+        client.res.write(': ping\n\n');
+        if (redisReady(redis)) redis.zadd(connsKey(client.tenant), now, client.connId).catch(() => {});
+      }
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  // ---- HANDLER ----
+  const handler = async (req, res) => {
+    const { businessId } = req.params;
+    const allowed = feeds.filter((feed) => !findMissingEntitlement(req.entitlements, feed));
+    const tenant = callerKeyOf(req);
+    const connId = crypto.randomUUID();
+    let client = null;
+    let closed = false;
+    // registered before admit() so a client that leaves while it is pending
+    // still gives its slot back
+    res.on('close', () => {
+      closed = true;
+      release(tenant, connId);
+      if (!client) return;
+      const set = clients.get(businessId);
+      set?.delete(client);
+      if (!set?.size) {
+        clients.delete(businessId);
+        stopPolling(businessId);
+      }
+    });
+    if (!(await admit(tenant, connId))) {
+      if (closed) return;
+      return res.status(429).json({ message: 'Too many open streams for this tenant', code: 'STREAM_LIMIT', requestId: req.id });
+    }
+    // the close handler may have run before admit() took the slot
+    if (closed) return release(tenant, connId);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${Math.min(heartbeatMs, 5000)}\n\n`);
+
+    const lastId = Number(req.headers['last-event-id'] || req.query.lastEventId || 0);
+    client = { res, businessId, tenant, connId, lastId, types: new Set(allowed.flatMap((f) => [f.type, ...(f.events || [])])), replaying: true, queue: [] };
+    if (!clients.has(businessId)) clients.set(businessId, new Set());
+    clients.get(businessId).add(client);
+    startPolling(businessId);
+
+    // replay what the client missed (a new client gets the latest state of each
+    // feed), then anything that arrived meanwhile
+    const log = await replayLog(businessId);
+    const feedTypes = new Set(feeds.map((f) => f.type));
+    const missed = lastId
+      ? log.filter((e) => e.id > lastId)
+      : [...new Map(log.filter((e) => feedTypes.has(e.type)).sort((a, b) => a.id - b.id).map((e) => [e.type, e])).values()];
+    missed.sort((a, b) => a.id - b.id);
+    client.replaying = false;
+    for (const event of [...missed, ...client.queue.sort((a, b) => a.id - b.id)]) deliver(client, event);
+    client.queue = [];
+  };
+
+  // Mounts the stream under every version prefix behind the tenant-scope guard;
+  // auth, entitlements and rate limits come from the global middleware like any
+  // /api route, deprecation headers and usage from `deprecations`.
+  const mount = (app, { deprecations } = {}) => {
+    for (const route of streamRoutes()) {
+      const handlers = deprecations && route.deprecated ? [deprecations.track(route)] : [];
+      app.get(route.path, ...handlers, requireTenantScope({ path: route.path }), handler);
+    }
+  };
+
+  // For manifest writes marked `publishes: '<event type>'`: a 2xx JSON response
+  // is pushed to the business it belongs to. Anonymous (public) writes pass
+  // `trustRequest: false`: only the upstream's answer names the business, so a
+  // visitor can't push events into a business of their choosing.
+  const publishOn = (route, { trustRequest = true } = {}) => (req, res, next) => {
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      body = value;
+      return json(value);
+    };
+    res.on('finish', () => {
+      const businessId = trustRequest ? body?.businessId ?? req.body?.businessId ?? req.params.businessId : body?.businessId;
+      if (res.statusCode < 200 || res.statusCode >= 300 || !businessId) return;
+      publish(String(businessId), route.publishes, body).catch(() => {});
+    });
+    next();
+  };
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    for (const businessId of pollers.keys()) stopPolling(businessId);
+    for (const set of clients.values()) for (const client of set) client.res.end();
+    clients.clear();
+    lastPayload.stop();
+    subscriber?.disconnect();
+  };
+
+  return { mount, publish, publishOn, stop };
+};
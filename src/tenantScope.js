@@ -0,0 +1,82 @@
+import { recordAudit } from './audit.js';
+
+// Tenant identifiers the gateway knows how to check, by field name. A route can
+// map additional (ambiguous) names through its manifest `scope` entry, e.g.
+// `scope: { id: 'business' }` for /api/business/:id.
+//   org      – must equal scopes.orgId
+//   business – must be one of scopes.businesses
+//   tenant   – either of the above (tenants are orgs or single businesses)
+const DEFAULT_FIELDS = { tenantId: 'tenant', orgId: 'org', businessId: 'business' };
+
+const ADMIN_ROLES = new Set((process.env.PLATFORM_ADMIN_ROLES || 'platform_admin,super_admin').split(',').map((s) => s.trim()).filter(Boolean));
+
+export const rolesOf = (user) => [].concat(user?.roles || [], user?.role || []);
+
+// Tenant the caller acts for: the token's org, else its first business.
+export const tenantIdOf = (req) => req.user?.scopes?.orgId || req.user?.scopes?.businesses?.[0];
+
+// Owner of per-caller state (cache entries, idempotency keys, usage rows):
+// the tenant, else the user, else 'anon'.
+export const callerKeyOf = (req) => tenantIdOf(req) || (req.user ? `user:${req.user.id}` : 'anon');
+
+export const isPlatformAdmin = (user) => rolesOf(user).some((r) => ADMIN_ROLES.has(r));
+
+const inScope = (scopes, kind, value) => {
+  const id = String(value);
+  const orgOk = scopes?.orgId != null && String(scopes.orgId) === id;
+  const businessOk = (scopes?.businesses || []).map(String).includes(id);
+  if (kind === 'org') return orgOk;
+  if (kind === 'business') return businessOk;
+  return orgOk || businessOk;
+};
+
+// Collect every tenant identifier in `sources` (name -> object), e.g. the
+// request's path params, query string and top-level body fields.
+const identifiersOf = (sources, fields) => {
+  const found = [];
+  for (const [source, values] of Object.entries(sources)) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) continue;
+    for (const [field, kind] of Object.entries(fields)) {
+      const value = values[field];
+      if (value == null || value === '') continue;
+      for (const v of [].concat(value)) found.push({ source, field, kind, value: v });
+    }
+  }
+  return found;
+};
+
+// First tenant identifier in `sources` outside the caller's token scopes
+// (audited), or null. Platform admins may act on any tenant. `route` gives the
+// extra `scope` fields and the path for the logs. Also used for identifiers
+// the gateway resolves itself, like BFF section params (src/bff.js).
+export const findScopeDenial = (req, sources, route) => {
+  if (isPlatformAdmin(req.user)) return null;
+  const scopes = req.user?.scopes;
+  const denied = identifiersOf(sources, { ...DEFAULT_FIELDS, ...(route.scope || {}) }).find(({ kind, value }) => !inScope(scopes, kind, value));
+  if (!denied) return null;
+  req.log?.warn({ denied, route: route.path }, 'tenant scope denied');
+  recordAudit({
+    action: 'tenant_scope.denied',
+    outcome: 'denied',
+    actor: req.user?.id || req.user?.sub || null,
+    tenantId: tenantIdOf(req) || null,
+    resource: { type: denied.kind, id: String(denied.value), field: `${denied.source}.${denied.field}` },
+    method: req.method,
+    path: req.originalUrl,
+    requestId: req.id,
+  }, req);
+  return denied;
+};
+
+// Guard for a single manifest route: rejects requests that name a tenant
+// outside the caller's token scopes.
+export const requireTenantScope = (route) => (req, res, next) => {
+  const denied = findScopeDenial(req, { params: req.params, query: req.query, body: req.body }, route);
+  if (!denied) return next();
+  return res.status(403).json({
+    message: 'Tenant not in token scope',
+    code: 'TENANT_SCOPE_DENIED',
+    field: `${denied.source}.${denied.field}`,
+    requestId: req.id,
+  });
+};
@@ -0,0 +1,9 @@
+// Request/response transforms between API versions, referenced from the
+// `versions` overrides in src/routes.js. Each takes the JSON body and the
+// request and returns the body to send on:
+//   request  – applied to the validated client body before it is proxied
+//   response – applied to 2xx JSON upstream responses before they are sent
+
+// v2 list endpoints answer `{ items, count }` instead of a bare array, so
+// pagination fields can be added later without another breaking change.
+export const listEnvelope = (body) => (Array.isArray(body) ? { items: body, count: body.length } : body);
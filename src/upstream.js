@@ -0,0 +1,254 @@
+import http from 'node:http';
+import https from 'node:https';
+import fetch from 'node-fetch';
+import { services } from './services.js';
+import { upstreamDuration, upstreamErrors } from './metrics.js';
+
+// Shared client for every call from the gateway to a downstream service.
+//  - connect timeout (socket must connect within connectTimeoutMs)
+//  - response timeout (headers must arrive within timeoutMs)
+//  - body timeout (the body must be read to the end within bodyTimeoutMs of the
+//    headers; a stalled upstream then fails with UpstreamTimeoutError, phase 'body')
+//  - retries with jittered exponential backoff, for idempotent methods only
+//  - one circuit breaker per service base URL
+// Defaults come from UPSTREAM_* / BREAKER_* env vars; a service entry in
+// src/services.js can override `timeoutMs`, `bodyTimeoutMs`, `connectTimeoutMs`
+// and `retries`.
+const DEFAULTS = {
+  connectTimeoutMs: Number(process.env.UPSTREAM_CONNECT_TIMEOUT_MS || 1000),
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS || 5000),
+  bodyTimeoutMs: Number(process.env.UPSTREAM_BODY_TIMEOUT_MS || 30_000),
+  retries: Number(process.env.UPSTREAM_RETRIES || 2),
+  backoffMs: Number(process.env.UPSTREAM_BACKOFF_MS || 100),
+  failureThreshold: Number(process.env.BREAKER_FAILURE_THRESHOLD || 5),
+  openMs: Number(process.env.BREAKER_OPEN_MS || 30_000),
+};
+
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'OPTIONS']);
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+export class UpstreamTimeoutError extends Error {
+  constructor(service, phase, ms) {
+    super(`${service.name} ${phase} timeout after ${ms}ms`);
+    this.name = 'UpstreamTimeoutError';
+    this.code = 'UPSTREAM_TIMEOUT';
+    this.phase = phase;
+  }
+}
+
+// node-fetch wraps a body that timed out mid-read in a FetchError that keeps the code
+export const isTimeout = (err) => err instanceof UpstreamTimeoutError || err?.code === 'UPSTREAM_TIMEOUT';
+
+export class CircuitOpenError extends Error {
+  constructor(service, retryAfterMs) {
+    super(`${service.name} circuit open`);
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class MaintenanceError extends Error {
+  constructor(service, { message, retryAfterS }) {
+    super(message || `${service.name} is down for maintenance`);
+    this.name = 'MaintenanceError';
+    this.code = 'MAINTENANCE';
+    this.retryAfterS = retryAfterS;
+  }
+}
+
+const settingsFor = (service) => ({ ...DEFAULTS, ...service });
+
+// ---- MAINTENANCE ----
+// Services switched off by config (src/config.js): calls fail fast with a
+// MaintenanceError instead of reaching the upstream or its breaker.
+let maintenance = {};
+
+export const setMaintenance = (entries) => {
+  maintenance = entries;
+};
+
+// ---- CONNECT TIMEOUT AGENTS ----
+const withConnectTimeout = (AgentClass, service, connectTimeoutMs) => {
+  const agent = new AgentClass({ keepAlive: true });
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (options, cb) => {
+    const socket = createConnection(options, cb);
+    const timer = setTimeout(() => socket.destroy(new UpstreamTimeoutError(service, 'connect', connectTimeoutMs)), connectTimeoutMs);
+    socket.once('connect', () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+  return agent;
+};
+
+const agents = new Map();
+const agentFor = (service) => {
+  if (!agents.has(service.baseUrl)) {
+    const { connectTimeoutMs } = settingsFor(service);
+    agents.set(service.baseUrl, {
+      http: withConnectTimeout(http.Agent, service, connectTimeoutMs),
+      https: withConnectTimeout(https.Agent, service, connectTimeoutMs),
+    });
+  }
+  const pair = agents.get(service.baseUrl);
+  return (url) => (url.protocol === 'https:' ? pair.https : pair.http);
+};
+
+// ---- CIRCUIT BREAKERS ----
+// closed -> open after `failureThreshold` consecutive failures; open -> half-open
+// after `openMs`; half-open lets one trial request through and closes on
+// success or re-opens on failure.
+const breakers = new Map();
+
+const breakerFor = (service) => {
+  if (!breakers.has(service.baseUrl)) {
+    breakers.set(service.baseUrl, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+  }
+  return breakers.get(service.baseUrl);
+};
+
+const admit = (service) => {
+  const b = breakerFor(service);
+  const { openMs } = settingsFor(service);
+  if (b.state === 'open') {
+    const waited = Date.now() - b.openedAt;
+    if (waited < openMs) throw new CircuitOpenError(service, openMs - waited);
+    b.state = 'half-open';
+    b.trial = false;
+  }
+  if (b.state === 'half-open') {
+    if (b.trial) throw new CircuitOpenError(service, settingsFor(service).openMs);
+    b.trial = true;
+  }
+};
+
+const recordSuccess = (service) => {
+  Object.assign(breakerFor(service), { state: 'closed', failures: 0, trial: false });
+};
+
+const recordFailure = (service) => {
+  const b = breakerFor(service);
+  b.failures += 1;
+  b.trial = false;
+  if (b.state === 'half-open' || b.failures >= settingsFor(service).failureThreshold) {
+    b.state = 'open';
+    b.openedAt = Date.now();
+  }
+};
+
+// A config reload can move a service to another base URL; the keep-alive
+// agents and breakers of URLs no service uses any more are dropped. Idle
+// sockets close now, busy ones once their response is done.
+export const pruneUpstreams = () => {
+  const inUse = new Set(Object.values(services).map((service) => service.baseUrl));
+  for (const [baseUrl, pair] of agents) {
+    if (inUse.has(baseUrl)) continue;
+    for (const agent of [pair.http, pair.https]) {
+      agent.keepAlive = false;
+      for (const sockets of Object.values(agent.freeSockets)) sockets.forEach((socket) => socket.destroy());
+    }
+    agents.delete(baseUrl);
+  }
+  for (const baseUrl of breakers.keys()) if (!inUse.has(baseUrl)) breakers.delete(baseUrl);
+};
+
+// Snapshot of every known service's breaker, keyed by service registry key.
+export const breakerStates = () =>
+  Object.fromEntries(
+    Object.entries(services).map(([key, service]) => {
+      const b = breakerFor(service);
+      return [key, { state: b.state, failures: b.failures }];
+    })
+  );
+
+// Drops pooled keep-alive sockets, breaker state and maintenance switches on
+// shutdown, so a gateway created afterwards in the same process starts clean.
+export const resetUpstreams = () => {
+  for (const pair of agents.values()) {
+    pair.http.destroy();
+    pair.https.destroy();
+  }
+  agents.clear();
+  breakers.clear();
+  maintenance = {};
+};
+
+// ---- REQUEST ----
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const backoff = (attempt, baseMs) => Math.random() * baseMs * 2 ** attempt;
+
+const attempt = async (service, url, init, { timeoutMs, connectTimeoutMs }) => {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: ac.signal, agent: agentFor(service) });
+  } catch (e) {
+    if (e.name === 'AbortError') throw new UpstreamTimeoutError(service, 'response', timeoutMs);
+    // node-fetch wraps socket errors and keeps only their code
+    if (e.code === 'UPSTREAM_TIMEOUT') throw new UpstreamTimeoutError(service, 'connect', connectTimeoutMs);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Cuts the body once `ms` have passed without it being read to the end, which
+// also frees the socket of a body nobody reads. Readers see the error: pipes
+// get it as is, r.json()/r.text() wrapped in a FetchError with the same `code`.
+const bodyDeadline = (service, serviceKey, r, ms) => {
+  if (!r.body) return;
+  const timer = setTimeout(() => {
+    upstreamErrors.inc({ service: serviceKey, kind: 'timeout' });
+    r.body.destroy(new UpstreamTimeoutError(service, 'body', ms));
+  }, ms).unref();
+  r.body.once('close', () => clearTimeout(timer));
+};
+
+// Fetch `path` (or an absolute URL) from the service registered under
+// `serviceKey`. Resolves with the upstream response (any status); rejects
+// with MaintenanceError, CircuitOpenError, UpstreamTimeoutError or the network
+// error. A body that is not read in time fails with `code: 'UPSTREAM_TIMEOUT'`.
+export const upstreamFetch = async (serviceKey, pathOrUrl, init = {}) => {
+  const service = services[serviceKey];
+  if (!service) throw new Error(`Unknown service "${serviceKey}"`);
+  const settings = settingsFor(service);
+  const { retries, backoffMs } = settings;
+  const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${service.baseUrl}${pathOrUrl}`;
+  const maxAttempts = IDEMPOTENT.has((init.method || 'GET').toUpperCase()) ? retries + 1 : 1;
+  const method = (init.method || 'GET').toUpperCase();
+  if (maintenance[serviceKey]) throw new MaintenanceError(service, maintenance[serviceKey]);
+  for (let i = 0; ; i += 1) {
+    try {
+      admit(service);
+    } catch (e) {
+      upstreamErrors.inc({ service: serviceKey, kind: 'circuit_open' });
+      throw e;
+    }
+    const end = upstreamDuration.startTimer({ service: serviceKey, method });
+    try {
+      const r = await attempt(service, url, init, settings);
+      end({ outcome: `${Math.floor(r.status / 100)}xx` });
+      if (r.status >= 500) {
+        recordFailure(service);
+        upstreamErrors.inc({ service: serviceKey, kind: '5xx' });
+      } else {
+        recordSuccess(service);
+      }
+      if (i + 1 < maxAttempts && RETRYABLE_STATUS.has(r.status)) {
+        r.body?.resume();
+        await sleep(backoff(i, backoffMs));
+        continue;
+      }
+      bodyDeadline(service, serviceKey, r, settings.bodyTimeoutMs);
+      return r;
+    } catch (e) {
+      const kind = e instanceof UpstreamTimeoutError ? 'timeout' : 'network';
+      end({ outcome: kind });
+      upstreamErrors.inc({ service: serviceKey, kind });
+      recordFailure(service);
+      if (i + 1 >= maxAttempts) throw e;
+      await sleep(backoff(i, backoffMs));
+    }
+  }
+};
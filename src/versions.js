@@ -0,0 +1,152 @@
+import { callerKeyOf } from './tenantScope.js';
+import { getRedis, redisReady } from './redis.js';
+import { deprecatedRequests } from './metrics.js';
+import { ConfigError } from './config.js';
+
+// API version groups. Every manifest route (src/routes.js) is served under each
+// version's prefix, /api/v1/forms/:id, /api/v2/forms/:id, ... A route can change
+// per version with
+//   versions – { v2: { upstream, service, body, request, response, deprecated } }
+//              overrides for that version (request/response: src/transforms.js),
+//              or `false` to leave the route out of it
+//   since    – first version the route exists in
+// The unversioned /api/... paths predate versioning: `legacy` serves them
+// exactly like v1 and marks them deprecated.
+//
+// A deprecated version (or a route's `deprecated` override) answers with
+//   Deprecation: @<epoch>, Sunset: <http-date>, Link: <successor>; rel="successor-version"
+// and every call is counted per tenant, version, route and client build for
+// /internal/deprecations/usage. API_DEPRECATIONS (JSON, by version name) sets or
+// moves dates without a code change, e.g. {"legacy":{"sunset":"2027-04-30"}}.
+//   deprecated – { at, sunset, link } (ISO dates; link: migration guide)
+// A future `at` announces the deprecation ahead of time (RFC 9745): legacy
+// clients get three months on v1 before it applies, six before the sunset.
+export const apiVersions = {
+  legacy: { prefix: '/api', alias: 'v1', deprecated: { at: '2027-01-19', sunset: '2027-07-19' } },
+  v1: { prefix: '/api/v1' },
+  v2: { prefix: '/api/v2' },
+};
+
+const USAGE_RETENTION_DAYS = Number(process.env.API_DEPRECATION_USAGE_DAYS || 90);
+const CLIENT_HEADER = (process.env.API_CLIENT_VERSION_HEADER || 'x-client-version').toLowerCase();
+
+const deprecationErrors = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return ['must be a JSON object keyed by version name'];
+  return Object.entries(overrides).flatMap(([name, value]) => {
+    if (!apiVersions[name]) return [`unknown version "${name}"`];
+    if (!value || typeof value !== 'object') return [`${name} must be an object with at / sunset / link`];
+    return ['at', 'sunset']
+      .filter((field) => value[field] !== undefined && Number.isNaN(Date.parse(value[field])))
+      .map((field) => `${name}.${field} must be an ISO date, got ${JSON.stringify(value[field])}`);
+  });
+};
+
+export const configuredVersions = (raw = process.env.API_DEPRECATIONS) => {
+  let overrides;
+  try {
+    overrides = JSON.parse(raw || '{}');
+  } catch (e) {
+    throw new ConfigError('env', [`API_DEPRECATIONS is not valid JSON: ${e.message}`]);
+  }
+  const errors = deprecationErrors(overrides);
+  if (errors.length) throw new ConfigError('env', errors.map((error) => `API_DEPRECATIONS ${error}`));
+  return Object.fromEntries(Object.entries(apiVersions).map(([name, v]) => [
+    name,
+    overrides[name] ? { ...v, deprecated: { ...v.deprecated, ...overrides[name] } } : v,
+  ]));
+};
+
+// One concrete route per version the manifest entry exists in, with the
+// version's overrides merged in and `deprecated.successorPrefix` pointing at
+// the next version that still serves it.
+export const expandVersions = (table, versions = configuredVersions()) => {
+  const order = Object.keys(versions).filter((name) => !versions[name].alias);
+  const expanded = [];
+  for (const { versions: overrides, since, ...route } of table) {
+    const has = (name) => overrides?.[name] !== false && (!since || order.indexOf(name) >= order.indexOf(since));
+    for (const [name, version] of Object.entries(versions)) {
+      const base = version.alias || name;
+      if (!has(base)) continue;
+      const override = overrides?.[base] || {};
+      const entry = { ...route, ...override, path: version.prefix + route.path.slice('/api'.length), version: name };
+      const deprecated = override.deprecated || version.deprecated;
+      if (deprecated) {
+        const successor = version.alias || order.slice(order.indexOf(name) + 1).find(has);
+        entry.deprecated = { ...deprecated, prefix: version.prefix, successorPrefix: successor && versions[successor].prefix };
+      }
+      expanded.push(entry);
+    }
+  }
+  return expanded;
+};
+
+const day = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// 'Mobile/4.2.1 (iOS)' -> 'Mobile/4.2.1'
+const clientOf = (req) => String(req.headers[CLIENT_HEADER] || String(req.headers['user-agent'] || '').split(' ')[0] || 'unknown').slice(0, 64);
+
+export const createDeprecations = ({ logger, redis = getRedis(logger) } = {}) => {
+  const local = new Map(); // day -> Map<field, count>
+
+  const record = async (field) => {
+    const today = day();
+    if (redisReady(redis)) {
+      try {
+        const key = `deprecations:${today}`;
+        await redis.multi().hincrby(key, field, 1).pexpire(key, USAGE_RETENTION_DAYS * 86_400_000).exec();
+        return;
+      } catch (e) {
+        logger?.warn({ err: e.message }, 'deprecation usage not shared');
+      }
+    }
+    const counts = local.get(today) || new Map();
+    local.set(today, counts.set(field, (counts.get(field) || 0) + 1));
+    for (const d of local.keys()) if (d < day(new Date(Date.now() - USAGE_RETENTION_DAYS * 86_400_000))) local.delete(d);
+  };
+
+  // First handler on deprecated routes: headers go out on every response,
+  // rejections included, and the call is counted for the usage report.
+  const track = (route) => {
+    const { at, sunset, link, prefix, successorPrefix } = route.deprecated;
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    return (req, res, next) => {
+      res.setHeader('Deprecation', `@${Math.floor(Date.parse(at) / 1000)}`);
+      if (sunset) res.setHeader('Sunset', new Date(sunset).toUTCString());
+      const links = [];
+      if (successorPrefix) links.push(`<${successorPrefix}${req.path.slice(prefix.length)}>; rel="successor-version"`);
+      if (link) links.push(`<${link}>; rel="deprecation"`);
+      if (links.length) res.append('Link', links.join(', '));
+      deprecatedRequests.inc({ version: route.version, route: name });
+      record([callerKeyOf(req), route.version, name, clientOf(req)].join('\t')).catch(() => {});
+      return next();
+    };
+  };
+
+  // Calls to deprecated routes over the last `days` days, one row per tenant,
+  // version, route and client, most-used first.
+  const report = async ({ days = 30 } = {}) => {
+    const dates = Array.from({ length: Math.min(days, USAGE_RETENTION_DAYS) }, (_, i) => day(new Date(Date.now() - i * 86_400_000)));
+    const rows = new Map();
+    for (const date of dates) {
+      let counts = local.get(date) || new Map();
+      if (redisReady(redis)) {
+        try {
+          counts = new Map(Object.entries(await redis.hgetall(`deprecations:${date}`)));
+        } catch {}
+      }
+      for (const [field, count] of counts) {
+        const row = rows.get(field) || { calls: 0, lastSeen: date };
+        row.calls += Number(count);
+        if (date > row.lastSeen) row.lastSeen = date;
+        rows.set(field, row);
+      }
+    }
+    const usage = [...rows].map(([field, row]) => {
+      const [tenantId, version, route, client] = field.split('\t');
+      return { tenantId, version, route, client, ...row };
+    }).sort((a, b) => b.calls - a.calls);
+    return { from: dates[dates.length - 1], to: dates[0], tenants: new Set(usage.map((u) => u.tenantId)).size, usage };
+  };
+
+  return { track, report };
+};
@@ -0,0 +1,62 @@
+import request from 'supertest';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices } from './stub.js';
+
+// limits are read when the gateway module loads
+process.env.AUTH_FAILURE_LIMIT = '3';
+const { createGateway } = await import('../src/gateway.js');
+
+describe('failed authentication limiter', () => {
+  let stub;
+  let gateway;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'POST /api-keys/verify': () => ({ status: 404, body: { message: 'Unknown key' } }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('stops verifying guessed API keys once an IP hits the limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      await request(gateway.app).get('/api/v1/forms/f1').set('X-API-Key', `guess-${i}`).expect(401);
+    }
+    await request(gateway.app).get('/api/v1/forms/f1').set('X-API-Key', 'guess-3').expect(429);
+    expect(stub.calls.filter((c) => c.path === '/api-keys/verify')).toHaveLength(3);
+  });
+
+  test('leaves open paths alone', async () => {
+    await request(gateway.app).get('/healthz').expect(200);
+  });
+});
+
+describe('API key cache', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startStub({ 'POST /api-keys/verify': () => ({ status: 404, body: {} }) });
+    services.apiProgram.baseUrl = stub.url;
+  });
+
+  afterAll(() => stub.close());
+
+  test('keeps at most maxEntries keys, evicting the oldest', async () => {
+    const { createApiKeyAuth } = await import('../src/apiKeys.js');
+    const apiKeys = createApiKeyAuth({ logger: quietLogger(), redis: null, maxEntries: 2 });
+    const verified = () => stub.calls.filter((c) => c.path === '/api-keys/verify').length;
+    for (const key of ['a', 'b', 'c']) await apiKeys.authenticate(key);
+    expect(verified()).toBe(3);
+    await apiKeys.authenticate('c');
+    expect(verified()).toBe(3);
+    await apiKeys.authenticate('a');
+    expect(verified()).toBe(4);
+    apiKeys.stop();
+  });
+});
@@ -0,0 +1,57 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+describe('BFF composites', () => {
+  let stub;
+  let gateway;
+  const auth = `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 'T1', businesses: ['B1'] } })}`;
+  const admin = `Bearer ${tokenFor({ id: 'a1', roles: ['platform_admin'] })}`;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'GET /forms/by-code/own': () => ({ body: { code: 'own', businessId: 'B1' } }),
+      'GET /forms/by-code/foreign': () => ({ body: { code: 'foreign', businessId: 'OTHER-BIZ' } }),
+      'GET /business/:id': (req) => ({ body: { id: req.url.split('/').pop(), name: 'Business' } }),
+      'GET /brand': () => ({ body: { color: '#000' } }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('resolves sections from another section within the token scope', async () => {
+    const res = await request(gateway.app).get('/bff/v1/forms/own/public').set('Authorization', auth).expect(200);
+    expect(res.body.sections.business).toEqual({ ok: true, data: { id: 'B1', name: 'Business' } });
+    expect(res.body.sections.brand.ok).toBe(true);
+  });
+
+  test('does not follow a resolved tenant outside the token scope', async () => {
+    const res = await request(gateway.app).get('/bff/v1/forms/foreign/public').set('Authorization', auth).expect(200);
+    expect(res.body.partial).toBe(true);
+    expect(res.body.sections.form.ok).toBe(true);
+    for (const name of ['business', 'brand']) {
+      expect(res.body.sections[name]).toEqual({
+        ok: false,
+        error: { status: 403, code: 'TENANT_SCOPE_DENIED', message: 'Tenant not in token scope', field: `${name}.params.businessId` },
+      });
+    }
+    expect(stub.calls.some((c) => c.path === '/business/OTHER-BIZ')).toBe(false);
+  });
+
+  test('lets platform admins resolve any tenant', async () => {
+    const res = await request(gateway.app).get('/bff/v1/forms/foreign/public').set('Authorization', admin).expect(200);
+    expect(res.body.sections.business).toEqual({ ok: true, data: { id: 'OTHER-BIZ', name: 'Business' } });
+  });
+
+  test('still checks path params', async () => {
+    const res = await request(gateway.app).get('/bff/v1/business/OTHER-BIZ/dashboard').set('Authorization', auth).expect(403);
+    expect(res.body.code).toBe('TENANT_SCOPE_DENIED');
+  });
+});
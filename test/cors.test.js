@@ -0,0 +1,142 @@
+import express from 'express';
+import request from 'supertest';
+import { createCorsPolicy } from '../src/cors.js';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { resetUpstreams } from '../src/upstream.js';
+import { quietLogger, startStub, stubServices } from './stub.js';
+
+describe('CORS', () => {
+  let stub;
+  let gateway;
+
+  const preflight = (path, origin) =>
+    request(gateway.app).options(path).set('Origin', origin).set('Access-Control-Request-Method', 'GET');
+
+  beforeAll(async () => {
+    stub = await startStub({ 'GET /custom-domains/:host': () => ({ status: 404 }) });
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('public channel routes accept any origin without credentials', async () => {
+    const res = await preflight('/public/v1/forms/by-code/abc', 'https://shop.example.org');
+    expect(res.headers['access-control-allow-origin']).toBe('https://shop.example.org');
+    expect(res.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+
+  test.each(['/api/v1/forms/by-code/abc', '/bff/v1/forms/abc/public'])('%s needs a token, so it follows the allowlist', async (path) => {
+    const res = await preflight(path, 'https://shop.example.org');
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
+
+describe('createCorsPolicy', () => {
+  const originalOrg = { ...services.org };
+  let stub;
+  let registered; // custom domain -> status the org-service lookup answers
+
+  const appWith = (options) => {
+    const app = express();
+    app.use(createCorsPolicy({ allowed: ['https://app.keephy.com', 'https://*.keephy.com', 'http://localhost:*'], publicPaths: ['/public/v1/forms/:code'], ...options }));
+    app.all('*', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+  const from = (app, origin, path = '/api/v1/forms') => request(app).get(path).set('Origin', origin);
+  const lookups = () => stub.calls.filter((c) => c.path.startsWith('/custom-domains/')).map((c) => decodeURIComponent(c.path.split('/').pop()));
+
+  beforeAll(async () => {
+    stub = await startStub({ 'GET /custom-domains/:host': (req) => ({ status: registered[decodeURIComponent(req.url.split('/').pop())] || 404 }) });
+    Object.assign(services.org, { baseUrl: stub.url, retries: 0 });
+  });
+
+  beforeEach(() => {
+    stub.calls.length = 0;
+    registered = { 'feedback.acme.com': 200 };
+  });
+
+  afterAll(async () => {
+    Object.assign(services.org, originalOrg);
+    resetUpstreams();
+    await stub.close();
+  });
+
+  test.each(['https://app.keephy.com', 'https://eu.app.keephy.com', 'http://localhost:5173'])('allows %s with credentials', async (origin) => {
+    const res = await from(appWith(), origin);
+    expect(res.headers['access-control-allow-origin']).toBe(origin);
+    expect(res.headers['access-control-allow-credentials']).toBe('true');
+    expect(res.headers.vary).toMatch(/Origin/);
+  });
+
+  test.each(['https://keephy.com.evil.example', 'http://app.keephy.com', 'https://evilkeephy.com', 'http://localhost.evil.example:80'])('gives %s no CORS headers', async (origin) => {
+    const res = await from(appWith(), origin);
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    expect(res.headers.vary).toMatch(/Origin/);
+  });
+
+  test('allows a registered custom domain and caches the lookup', async () => {
+    const app = appWith();
+    for (let i = 0; i < 2; i++) {
+      const res = await from(app, 'https://feedback.acme.com');
+      expect(res.headers['access-control-allow-origin']).toBe('https://feedback.acme.com');
+      expect(res.headers['access-control-allow-credentials']).toBe('true');
+    }
+    expect(lookups()).toEqual(['feedback.acme.com']);
+  });
+
+  test('caches unknown domains too, until the TTL passes', async () => {
+    const app = appWith({ cacheTtlMs: 50 });
+    await from(app, 'https://unknown.example');
+    const res = await from(app, 'https://unknown.example');
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    expect(lookups()).toEqual(['unknown.example']);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    registered['unknown.example'] = 200;
+    expect((await from(app, 'https://unknown.example')).headers['access-control-allow-origin']).toBe('https://unknown.example');
+  });
+
+  test('rejects while the lookup fails, without caching the failure', async () => {
+    const app = appWith();
+    registered['feedback.acme.com'] = 500;
+    expect((await from(app, 'https://feedback.acme.com')).headers['access-control-allow-origin']).toBeUndefined();
+    registered['feedback.acme.com'] = 200;
+    expect((await from(app, 'https://feedback.acme.com')).headers['access-control-allow-origin']).toBe('https://feedback.acme.com');
+    expect(lookups()).toHaveLength(2);
+  });
+
+  test('never allows a custom domain over plain http', async () => {
+    const res = await from(appWith(), 'http://feedback.acme.com');
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    expect(lookups()).toEqual([]);
+  });
+
+  test('answers preflights with the configured max age', async () => {
+    const res = await request(appWith({ maxAge: 120 }))
+      .options('/api/v1/forms')
+      .set('Origin', 'https://app.keephy.com')
+      .set('Access-Control-Request-Method', 'PATCH')
+      .expect(204);
+    expect(res.headers['access-control-max-age']).toBe('120');
+    expect(res.headers['access-control-allow-origin']).toBe('https://app.keephy.com');
+  });
+
+  test('public routes follow CORS_PUBLIC_ORIGINS and never send credentials', async () => {
+    const app = appWith({ publicOrigins: ['https://*.shop.example'] });
+    const ok = await from(app, 'https://eu.shop.example', '/public/v1/forms/abc');
+    expect(ok.headers['access-control-allow-origin']).toBe('https://eu.shop.example');
+    expect(ok.headers['access-control-allow-credentials']).toBeUndefined();
+    // an allowlisted app origin gets no credentials on public routes either
+    const app2 = await from(app, 'https://app.keephy.com', '/public/v1/forms/abc');
+    expect(app2.headers['access-control-allow-origin']).toBeUndefined();
+    expect((await from(app, 'https://elsewhere.example', '/public/v1/forms/abc')).headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('requests without Origin get no CORS headers', async () => {
+    const res = await request(appWith()).get('/api/v1/forms').expect(200);
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
@@ -0,0 +1,184 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { createEntitlementsClient, EntitlementsUnavailableError, findMissingEntitlement } from '../src/entitlements.js';
+import { mountRoutes } from '../src/proxy.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+const ALL = {
+  modules: { forms: true, submissions: true, discounts: true, staff: true },
+  features: { reports: true, i18n: true, integrationHub: true, exportScheduler: true },
+};
+
+// tenant -> entitlements served by the stub entitlements service; unknown tenants get a 404 (nothing granted)
+const TENANTS = {
+  full: ALL,
+  reportsOnly: { modules: {}, features: { reports: { enabled: true } } },
+};
+
+// One route per guarded group, with the entitlement it needs.
+const GUARDED = [
+  ['GET', '/api/v1/forms/f1', { type: 'module', key: 'forms' }],
+  ['GET', '/api/v1/submissions/by-business/b1', { type: 'module', key: 'submissions' }],
+  ['GET', '/api/v1/discounts/k1', { type: 'module', key: 'discounts' }],
+  ['GET', '/api/v1/staff', { type: 'module', key: 'staff' }],
+  ['GET', '/api/v1/reports/live/b1', { type: 'feature', key: 'reports' }],
+  ['GET', '/api/v1/i18n/common', { type: 'feature', key: 'i18n' }],
+  ['GET', '/api/v1/webhooks', { type: 'feature', key: 'integrationHub' }],
+  ['GET', '/api/v1/schedules', { type: 'feature', key: 'exportScheduler' }],
+];
+
+const bearer = (tenant) => `Bearer ${tokenFor({ id: `u-${tenant}`, scopes: { orgId: tenant, businesses: ['b1'] } })}`;
+
+describe('entitlement guards', () => {
+  let stub;
+  let gateway;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': (req) => {
+        const value = TENANTS[req.url.split('/').pop()];
+        return value ? { body: value } : { status: 404, body: { message: 'unknown tenant' } };
+      },
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+    // the manifest has no verb-specific feature yet; mount one the way src/routes.js would
+    mountRoutes(gateway.app, [
+      { method: 'get', path: '/api/v1/reports/exports', service: 'reporting', upstream: '/reports/exports', feature: 'reports' },
+      { method: 'post', path: '/api/v1/reports/exports', service: 'reporting', upstream: '/reports/exports', feature: ['reports', 'reportsExport'] },
+    ]);
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test.each(GUARDED)('%s %s is blocked without its entitlement', async (method, path, missing) => {
+    const upstreamCalls = stub.calls.filter((c) => !c.path.startsWith('/entitlements')).length;
+    const res = await request(gateway.app)[method.toLowerCase()](path).set('Authorization', bearer('none')).expect(403);
+    expect(res.body).toMatchObject({ code: 'ENTITLEMENT_REQUIRED', missing });
+    expect(res.body.requestId).toBeTruthy();
+    expect(stub.calls.filter((c) => !c.path.startsWith('/entitlements'))).toHaveLength(upstreamCalls);
+  });
+
+  test.each(GUARDED)('%s %s is proxied when entitled', async (method, path) => {
+    await request(gateway.app)[method.toLowerCase()](path).set('Authorization', bearer('full')).expect(200);
+  });
+
+  test('a feature can be required on one verb only', async () => {
+    await request(gateway.app).get('/api/v1/reports/exports').set('Authorization', bearer('reportsOnly')).expect(200);
+    const res = await request(gateway.app)
+      .post('/api/v1/reports/exports')
+      .set('Authorization', bearer('reportsOnly'))
+      .send({ from: '2026-01-01' })
+      .expect(403);
+    expect(res.body).toMatchObject({ code: 'ENTITLEMENT_REQUIRED', missing: { type: 'feature', key: 'reportsExport' } });
+  });
+
+  test('routes without an entitlement stay open', async () => {
+    await request(gateway.app).get('/api/v1/notifications/rules').set('Authorization', bearer('none')).expect(200);
+  });
+});
+
+describe('entitlements client', () => {
+  const realNow = Date.now;
+  let stub;
+  let clock;
+  let reply; // what the stub entitlements service answers next
+
+  const client = (options) => createEntitlementsClient({ logger: quietLogger(), redis: null, ttlMs: 1000, staleMs: 5000, ...options });
+  const fetches = () => stub.calls.filter((c) => c.path.startsWith('/entitlements')).length;
+
+  beforeAll(async () => {
+    stub = await startStub({ 'GET /entitlements/:tenant': () => reply });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+  });
+
+  beforeEach(() => {
+    stub.calls.length = 0;
+    clock = 100_000;
+    Date.now = () => clock;
+    reply = { body: { modules: { forms: true }, features: {} } };
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  afterAll(() => stub.close());
+
+  test('serves fresh entries from the cache and shares concurrent loads', async () => {
+    const entitlements = client();
+    const [a, b] = await Promise.all([entitlements.get('t1'), entitlements.get('t1')]);
+    expect(a).toEqual({ modules: { forms: true }, features: {} });
+    expect(b).toBe(a);
+    clock += 1000;
+    await entitlements.get('t1');
+    expect(fetches()).toBe(1);
+  });
+
+  test('serves a stale entry while it refreshes in the background', async () => {
+    const entitlements = client();
+    await entitlements.get('t1');
+    reply = { body: { modules: { forms: false }, features: {} } };
+    clock += 3000;
+    expect((await entitlements.get('t1')).modules.forms).toBe(true);
+    // the refresh has landed once the stub saw it and the response was read
+    for (let i = 0; i < 50 && fetches() < 2; i++) await new Promise((resolve) => setTimeout(resolve, 5));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect((await entitlements.get('t1')).modules.forms).toBe(false);
+    expect(fetches()).toBe(2);
+  });
+
+  test('keeps serving a stale entry while the service is down', async () => {
+    const entitlements = client();
+    await entitlements.get('t1');
+    reply = { status: 503, body: {} };
+    clock += 3000;
+    expect((await entitlements.get('t1')).modules.forms).toBe(true);
+  });
+
+  test('treats an unknown tenant as having nothing granted', async () => {
+    reply = { status: 404, body: {} };
+    expect(await client().get('t1')).toEqual({ modules: {}, features: {} });
+  });
+
+  test('fails closed by default once nothing usable is cached', async () => {
+    const entitlements = client();
+    await entitlements.get('t1');
+    reply = { status: 503, body: {} };
+    clock += 6001;
+    await expect(entitlements.get('t1')).rejects.toBeInstanceOf(EntitlementsUnavailableError);
+    await expect(client().get('t2')).rejects.toBeInstanceOf(EntitlementsUnavailableError);
+  });
+
+  test('fails open as `degraded` with ENTITLEMENTS_FAIL_MODE=open', async () => {
+    reply = { status: 503, body: {} };
+    const value = await client({ failMode: 'open' }).get('t1');
+    expect(value).toMatchObject({ degraded: true });
+    expect(findMissingEntitlement(value, { module: 'forms', feature: 'reports' })).toBeNull();
+  });
+
+  test('times out a slow service like an unreachable one', async () => {
+    reply = { delayMs: 200, body: {} };
+    await expect(client({ timeoutMs: 20 }).get('t1')).rejects.toBeInstanceOf(EntitlementsUnavailableError);
+  });
+
+  test('replicas share entries through Redis', async () => {
+    const data = new Map();
+    const redis = {
+      status: 'ready',
+      get: async (key) => data.get(key) ?? null,
+      set: async (key, value) => data.set(key, value),
+      del: async (key) => data.delete(key),
+    };
+    await client({ redis }).get('t1');
+    const other = client({ redis });
+    expect((await other.get('t1')).modules.forms).toBe(true);
+    expect(fetches()).toBe(1);
+    await other.invalidate('t1');
+    expect(data.size).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+describe('createGateway', () => {
+  let stub;
+  let gateway;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'GET /forms/:id': () => ({ body: { id: 'f1', title: 'Feedback' } }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('proxies to the configured stub upstream', async () => {
+    const res = await request(gateway.app)
+      .get('/api/v1/forms/f1')
+      .set('Authorization', `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 't1' } })}`)
+      .expect(200);
+    expect(res.body).toEqual({ id: 'f1', title: 'Feedback' });
+    const call = stub.calls.find((c) => c.path === '/forms/f1');
+    expect(call.headers['x-tenant-id']).toBe('t1');
+    expect(call.headers['x-request-id']).toBe(res.headers['x-request-id']);
+  });
+
+  test('rejects requests without credentials', async () => {
+    await request(gateway.app).get('/api/v1/forms/f1').expect(401);
+  });
+
+  test('allows one running gateway per process', () => {
+    expect(() => createGateway({ logger: quietLogger() })).toThrow(/already running/);
+  });
+
+  test('drain() flips readiness to 503', async () => {
+    await request(gateway.app).get('/readyz').expect(200, { status: 'ready' });
+    gateway.drain();
+    const res = await request(gateway.app).get('/readyz').expect(503, { status: 'draining' });
+    expect(res.headers.connection).toBe('close');
+  });
+
+  test('stop() releases the gateway so another can be created', async () => {
+    await gateway.stop();
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+    await request(gateway.app).get('/readyz').expect(200);
+  });
+});
@@ -0,0 +1,108 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+describe('idempotency on authenticated routes', () => {
+  let stub;
+  let gateway;
+  let created; // reply of the stub forms-service to POST /forms
+  let nextId;
+
+  const bearer = (tenant) => `Bearer ${tokenFor({ id: `u-${tenant}`, scopes: { orgId: tenant, businesses: ['b1'] } })}`;
+  const createForm = (key, { tenant = 't1', title = 'NPS' } = {}) =>
+    request(gateway.app).post('/api/v1/forms').set('Authorization', bearer(tenant)).set('Idempotency-Key', key).send({ businessId: 'b1', title });
+  const upstreamCalls = (method, path) => stub.calls.filter((c) => c.method === method && c.path === path).length;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'POST /forms': () => created(),
+      'DELETE /forms/:id': () => ({ status: 204, raw: '' }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  beforeEach(() => {
+    stub.calls.length = 0;
+    nextId = 1;
+    created = () => ({ status: 201, headers: { location: '/forms/f1' }, body: { id: `f${nextId++}` } });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('replays the stored response to a retry without calling the upstream', async () => {
+    const first = await createForm('k1').expect(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    const retry = await createForm('k1').expect(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers.location).toBe('/forms/f1');
+    expect(retry.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+    expect(retry.body).toEqual(first.body);
+    expect(upstreamCalls('POST', '/forms')).toBe(1);
+  });
+
+  test('matches bodies regardless of key order', async () => {
+    await request(gateway.app).post('/api/v1/forms').set('Authorization', bearer('t1')).set('Idempotency-Key', 'k2').send({ businessId: 'b1', title: 'A' }).expect(201);
+    const retry = await request(gateway.app).post('/api/v1/forms').set('Authorization', bearer('t1')).set('Idempotency-Key', 'k2').send({ title: 'A', businessId: 'b1' }).expect(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('keeps keys apart per tenant', async () => {
+    await createForm('k3', { tenant: 't1' }).expect(201);
+    const other = await createForm('k3', { tenant: 't2' }).expect(201);
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(upstreamCalls('POST', '/forms')).toBe(2);
+  });
+
+  test('rejects a key reused for a different body or path', async () => {
+    await createForm('k4').expect(201);
+    const res = await createForm('k4', { title: 'CSAT' }).expect(422);
+    expect(res.body).toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED', requestId: expect.any(String) });
+    await request(gateway.app).delete('/api/v1/forms/f1').set('Authorization', bearer('t1')).set('Idempotency-Key', 'k4').expect(422);
+    expect(upstreamCalls('POST', '/forms')).toBe(1);
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    created = () => ({ status: 201, body: { id: 'slow' }, delayMs: 100 });
+    const first = createForm('k5').then((res) => res); // sent now, awaited below
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const res = await createForm('k5').expect(409);
+    expect(res.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect((await first).status).toBe(201);
+  });
+
+  test('releases the key when the upstream fails', async () => {
+    created = () => ({ status: 503, body: { message: 'busy' } });
+    await createForm('k6').expect(503);
+    created = () => ({ status: 201, body: { id: 'f9' } });
+    const retry = await createForm('k6').expect(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(upstreamCalls('POST', '/forms')).toBe(2);
+  });
+
+  test('replays an empty 204', async () => {
+    const del = () => request(gateway.app).delete('/api/v1/forms/f1').set('Authorization', bearer('t1')).set('Idempotency-Key', 'k7');
+    await del().expect(204);
+    const retry = await del().expect(204);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.text).toBe('');
+    expect(upstreamCalls('DELETE', '/forms/f1')).toBe(1);
+  });
+
+  test('rejects keys over 255 characters', async () => {
+    const res = await createForm('k'.repeat(256)).expect(400);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_INVALID');
+    expect(upstreamCalls('POST', '/forms')).toBe(0);
+  });
+
+  test('leaves requests without a key alone', async () => {
+    await request(gateway.app).post('/api/v1/forms').set('Authorization', bearer('t1')).send({ businessId: 'b1', title: 'NPS' }).expect(201);
+    await request(gateway.app).post('/api/v1/forms').set('Authorization', bearer('t1')).send({ businessId: 'b1', title: 'NPS' }).expect(201);
+    expect(upstreamCalls('POST', '/forms')).toBe(2);
+  });
+});
@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import jwt from 'jsonwebtoken';
+import { createJwtVerifier, loadJwtConfig } from '../src/jwtAuth.js';
+
+const rsa = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const jwkOf = (kid, { publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' });
+
+const ISSUER = 'https://id.keephy.test';
+const AUDIENCE = 'keephy-api';
+
+const sign = (keyPair, alg, kid, claims = {}, options = {}) =>
+  jwt.sign({ id: 'u1', ...claims }, keyPair.privateKey, { algorithm: alg, keyid: kid, issuer: ISSUER, audience: AUDIENCE, ...(claims.exp === undefined && { expiresIn: 60 }), ...options });
+
+const codeOf = (promise) => promise.then(() => 'accepted', (e) => e.code);
+
+describe('JWT verification', () => {
+  let dir;
+  let jwksFile;
+  const keys = { rs1: rsa(), es1: ec(), rs2: rsa() };
+
+  const writeJwks = (...kids) => writeFileSync(jwksFile, JSON.stringify({ keys: kids.map((kid) => jwkOf(kid, keys[kid])) }));
+
+  const verifier = (env = {}) => createJwtVerifier({
+    config: loadJwtConfig({ JWT_JWKS_FILE: jwksFile, JWT_ISSUER: ISSUER, JWT_AUDIENCE: AUDIENCE, JWT_JWKS_MIN_REFRESH_MS: '0', ...env }),
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+    jwksFile = path.join(dir, 'jwks.json');
+    writeJwks('rs1', 'es1');
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('accepts RS256 and ES256 tokens signed by a published key', async () => {
+    const tokens = verifier();
+    await expect(tokens.verify(sign(keys.rs1, 'RS256', 'rs1'))).resolves.toMatchObject({ id: 'u1', iss: ISSUER });
+    await expect(tokens.verify(sign(keys.es1, 'ES256', 'es1'))).resolves.toMatchObject({ id: 'u1' });
+  });
+
+  test('picks up a rotated key by kid without a restart', async () => {
+    const tokens = verifier();
+    await tokens.warmUp();
+    await expect(codeOf(tokens.verify(sign(keys.rs2, 'RS256', 'rs2')))).resolves.toBe('TOKEN_UNKNOWN_KEY');
+    writeJwks('rs2');
+    await expect(tokens.verify(sign(keys.rs2, 'RS256', 'rs2'))).resolves.toMatchObject({ id: 'u1' });
+    // the retired key is gone once the set has been reloaded
+    await expect(codeOf(tokens.verify(sign(keys.rs1, 'RS256', 'rs1')))).resolves.toBe('TOKEN_UNKNOWN_KEY');
+  });
+
+  test('does not reload the key set for every unknown kid', async () => {
+    const tokens = verifier({ JWT_JWKS_MIN_REFRESH_MS: '60000' });
+    await tokens.warmUp();
+    writeJwks('rs1', 'es1', 'rs2');
+    await expect(codeOf(tokens.verify(sign(keys.rs2, 'RS256', 'rs2')))).resolves.toBe('TOKEN_UNKNOWN_KEY');
+  });
+
+  test('rejects unknown kids', async () => {
+    await expect(codeOf(verifier().verify(sign(keys.rs1, 'RS256', 'nope')))).resolves.toBe('TOKEN_UNKNOWN_KEY');
+  });
+
+  test('rejects a published kid signed by another key', async () => {
+    await expect(codeOf(verifier().verify(sign(keys.rs2, 'RS256', 'rs1')))).resolves.toBe('TOKEN_BAD_SIGNATURE');
+  });
+
+  test('pins algorithms', async () => {
+    await expect(codeOf(verifier({ JWT_ALGORITHMS: 'RS256' }).verify(sign(keys.es1, 'ES256', 'es1')))).resolves.toBe('TOKEN_BAD_ALGORITHM');
+    // HS256 "signed" with the public key: the classic key-confusion attack
+    const pem = keys.rs1.publicKey.export({ type: 'spki', format: 'pem' });
+    const confused = jwt.sign({ id: 'u1' }, pem, { algorithm: 'HS256', keyid: 'rs1', issuer: ISSUER, audience: AUDIENCE });
+    await expect(codeOf(verifier().verify(confused))).resolves.toBe('TOKEN_BAD_ALGORITHM');
+    const none = jwt.sign({ id: 'u1' }, null, { algorithm: 'none', issuer: ISSUER, audience: AUDIENCE });
+    await expect(codeOf(verifier().verify(none))).resolves.toBe('TOKEN_BAD_ALGORITHM');
+  });
+
+  test('tells expired, malformed, wrong audience and wrong issuer apart', async () => {
+    const tokens = verifier();
+    const expired = sign(keys.rs1, 'RS256', 'rs1', { exp: Math.floor(Date.now() / 1000) - 120 });
+    await expect(codeOf(tokens.verify(expired))).resolves.toBe('TOKEN_EXPIRED');
+    await expect(codeOf(tokens.verify('not.a.jwt'))).resolves.toBe('TOKEN_MALFORMED');
+    await expect(codeOf(tokens.verify(sign(keys.rs1, 'RS256', 'rs1', {}, { audience: 'someone-else' })))).resolves.toBe('TOKEN_WRONG_AUDIENCE');
+    await expect(codeOf(tokens.verify(sign(keys.rs1, 'RS256', 'rs1', {}, { issuer: 'https://evil.test' })))).resolves.toBe('TOKEN_WRONG_ISSUER');
+  });
+
+  test('tolerates small clock skew only', async () => {
+    const tokens = verifier({ JWT_CLOCK_TOLERANCE_S: '30' });
+    const justExpired = sign(keys.rs1, 'RS256', 'rs1', { exp: Math.floor(Date.now() / 1000) - 10 });
+    await expect(tokens.verify(justExpired)).resolves.toMatchObject({ id: 'u1' });
+  });
+});
+
+describe('loadJwtConfig in production', () => {
+  test('refuses to start without key config, issuer and audience', () => {
+    expect(() => loadJwtConfig({ NODE_ENV: 'production' })).toThrow(/Refusing to start in production.*JWT_JWKS_URL.*JWT_ISSUER.*JWT_AUDIENCE/);
+  });
+
+  test('refuses the development secret', () => {
+    expect(() => loadJwtConfig({ NODE_ENV: 'production', JWT_SECRET: 'dev-secret', JWT_ISSUER: ISSUER, JWT_AUDIENCE: AUDIENCE })).toThrow(/must not be "dev-secret"/);
+  });
+
+  test('starts with a JWKS, issuer and audience', () => {
+    const config = loadJwtConfig({ NODE_ENV: 'production', JWT_JWKS_URL: 'https://id.keephy.test/jwks.json', JWT_ISSUER: ISSUER, JWT_AUDIENCE: AUDIENCE });
+    expect(config.secret).toBeUndefined();
+    expect(config.algorithms).toEqual(['RS256', 'ES256']);
+  });
+
+  test('falls back to the development secret outside production only', () => {
+    expect(loadJwtConfig({}).secret).toBe('dev-secret');
+    expect(loadJwtConfig({}).algorithms).toEqual(['HS256']);
+  });
+});
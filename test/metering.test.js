@@ -0,0 +1,100 @@
+import os from 'node:os';
+import path from 'node:path';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import express from 'express';
+import request from 'supertest';
+import { createMeter } from '../src/metering.js';
+import { services } from '../src/services.js';
+import { resetUpstreams } from '../src/upstream.js';
+import { quietLogger, startStub } from './stub.js';
+
+const usage = (tenantId) => ({ tenantId, metric: 'forms.create', route: 'POST /api/v1/forms', status: 201 });
+
+// Redis client whose every command fails, as while the server is unreachable.
+const brokenRedis = () => {
+  const down = () => Promise.reject(new Error('Connection is closed.'));
+  return { status: 'ready', rpush: down, lpop: down };
+};
+
+describe('usage metering', () => {
+  let stub;
+  let spoolDir;
+  let meteringUp;
+  let inFlight;
+  let maxInFlight;
+  const baseUrl = services.metering.baseUrl;
+
+  const delivered = () => stub.calls.filter((c) => c.path === '/usage/batch' && c.delivered).flatMap((c) => c.body.events);
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'POST /usage/batch': (req) => {
+        const call = stub.calls[stub.calls.length - 1];
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => { inFlight -= 1; }, 50);
+        call.delivered = meteringUp;
+        return meteringUp ? { delayMs: 50, body: { accepted: true } } : { delayMs: 50, status: 503, body: {} };
+      },
+    });
+    services.metering.baseUrl = stub.url;
+  });
+
+  afterAll(async () => {
+    services.metering.baseUrl = baseUrl;
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.calls.length = 0;
+    spoolDir = mkdtempSync(path.join(os.tmpdir(), 'meter-'));
+    meteringUp = true;
+    inFlight = 0;
+    maxInFlight = 0;
+    resetUpstreams();
+  });
+
+  afterEach(() => rmSync(spoolDir, { recursive: true, force: true }));
+
+  test('never runs two flushes at once', async () => {
+    const meter = createMeter({ logger: quietLogger(), redis: null, spoolDir, flushMs: 60_000 });
+    meter.record(usage('t1'));
+    const first = meter.flush();
+    // the first flush is sending t1 now; the second queues behind it
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    meter.record(usage('t2'));
+    meter.flush();
+    await first;
+    // the second flush is still running: a third must wait for it
+    meter.record(usage('t3'));
+    await meter.flush();
+    await meter.stop();
+    expect(maxInFlight).toBe(1);
+    expect(delivered().map((e) => e.tenantId)).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('spools to file while Redis and the metering service are both down', async () => {
+    const meter = createMeter({ logger: quietLogger(), redis: brokenRedis(), spoolDir, flushMs: 60_000 });
+    meteringUp = false;
+    meter.record(usage('t1'));
+    await meter.flush();
+    expect(existsSync(path.join(spoolDir, 'keephy-gateway-metering.ndjson'))).toBe(true);
+    meteringUp = true;
+    meter.record(usage('t2'));
+    await meter.stop();
+    expect(delivered().map((e) => e.tenantId).sort()).toEqual(['t1', 't2']);
+    expect(existsSync(path.join(spoolDir, 'keephy-gateway-metering.ndjson'))).toBe(false);
+  });
+
+  test('bills anonymous writes to the business the upstream names, never to a shared tenant', async () => {
+    const meter = createMeter({ logger: quietLogger(), redis: null, spoolDir, flushMs: 60_000 });
+    const route = { method: 'post', path: '/public/v1/submissions', service: 'submissions', metric: 'submissions.public_create' };
+    const app = express();
+    app.post('/public/v1/submissions', express.json(), meter.track(route, { anonymous: true }), (req, res) =>
+      res.status(201).json(req.body.known ? { id: 's1', businessId: 'b7' } : { id: 's2' }));
+    await request(app).post('/public/v1/submissions').send({ known: true, businessId: 'b-from-the-visitor' }).expect(201);
+    await request(app).post('/public/v1/submissions').send({ known: false }).expect(201);
+    await meter.stop();
+    expect(delivered().map((e) => e.tenantId)).toEqual(['b7']);
+  });
+});
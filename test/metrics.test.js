@@ -0,0 +1,87 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { register, startMetricsServer } from '../src/metrics.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+// current value of the series of `name` carrying all of `labels` (0 if none)
+const valueOf = async (name, labels) => {
+  const { values } = await register.getSingleMetric(name).get();
+  const series = values.filter((v) => Object.entries(labels).every(([key, value]) => v.labels[key] === value));
+  return series.reduce((sum, v) => sum + v.value, 0);
+};
+
+describe('metrics', () => {
+  let stub;
+  let gateway;
+  const auth = `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 't1' } })}`;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'GET /forms/:id': (req) => (req.url.endsWith('/broken') ? { status: 503, body: {} } : { body: { id: 'f1' } }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    process.env.METRICS_TOKEN = 'scrape-token';
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    delete process.env.METRICS_TOKEN;
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('/metrics on the main port needs the scrape token', async () => {
+    await request(gateway.app).get('/metrics').expect(401);
+    await request(gateway.app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+    await request(gateway.app).get('/metrics').set('Authorization', auth).expect(401);
+    const res = await request(gateway.app).get('/metrics').set('Authorization', 'Bearer scrape-token').expect(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain('# TYPE gateway_http_requests_total counter');
+  });
+
+  test('counts requests by route template, status and tier', async () => {
+    const labels = { route: '/api/v1/forms/:id', method: 'GET', status: '200' };
+    const before = await valueOf('gateway_http_requests_total', labels);
+    const timedBefore = await valueOf('gateway_http_request_duration_seconds', { ...labels, le: '+Inf' });
+    await request(gateway.app).get('/api/v1/forms/f1').set('Authorization', auth).expect(200);
+    await request(gateway.app).get('/api/v1/forms/f2').set('Authorization', auth).expect(200);
+    expect(await valueOf('gateway_http_requests_total', labels)).toBe(before + 2);
+    expect(await valueOf('gateway_http_requests_total', { ...labels, tier: 'free' })).toBeGreaterThanOrEqual(2);
+    expect(await valueOf('gateway_http_request_duration_seconds', { ...labels, le: '+Inf' })).toBe(timedBefore + 2);
+  });
+
+  test('counts rejected requests too, without a route label of their URL', async () => {
+    const before = await valueOf('gateway_http_requests_total', { route: 'unmatched', status: '401', tier: 'none' });
+    await request(gateway.app).get('/api/v1/forms/f1').expect(401);
+    expect(await valueOf('gateway_http_requests_total', { route: 'unmatched', status: '401', tier: 'none' })).toBe(before + 1);
+  });
+
+  test('records upstream 5xx per service', async () => {
+    const before = await valueOf('gateway_upstream_errors_total', { service: 'forms', kind: '5xx' });
+    await request(gateway.app).get('/api/v1/forms/broken').set('Authorization', auth).expect(503);
+    expect(await valueOf('gateway_upstream_errors_total', { service: 'forms', kind: '5xx' })).toBe(before + 1);
+    expect(await valueOf('gateway_upstream_request_duration_seconds', { service: 'forms', outcome: '5xx', le: '+Inf' })).toBeGreaterThanOrEqual(1);
+  });
+
+  test('reports entitlement denials and breaker states', async () => {
+    const before = await valueOf('gateway_entitlement_denials_total', { type: 'module', key: 'staff' });
+    await request(gateway.app).get('/api/v1/staff').set('Authorization', auth).expect(403);
+    expect(await valueOf('gateway_entitlement_denials_total', { type: 'module', key: 'staff' })).toBe(before + 1);
+    expect(await valueOf('gateway_circuit_breaker_state', { service: 'forms' })).toBe(0);
+  });
+
+  test('the admin port serves /metrics and nothing else', async () => {
+    const server = startMetricsServer({ port: 0 });
+    await new Promise((resolve) => server.once('listening', resolve));
+    try {
+      const res = await request(server).get('/metrics').expect(200);
+      expect(res.text).toContain('gateway_process_cpu_seconds_total');
+      await request(server).get('/healthz').expect(404);
+      await request(server).post('/metrics').expect(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
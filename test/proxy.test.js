@@ -0,0 +1,49 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+// pretty-printed, so a re-serialised body would differ from the upstream's bytes
+const bigList = JSON.stringify(Array.from({ length: 20_000 }, (_, i) => ({ id: `s${i}`, name: `Staff member ${i}` })), null, 2);
+
+describe('proxy', () => {
+  let stub;
+  let gateway;
+  const auth = `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 't1' } })}`;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { staff: true, forms: true }, features: {} } }),
+      'GET /staff': () => ({ raw: bigList }),
+      'GET /forms/:id/attachments/:attachmentId': () => ({ headers: { 'content-type': 'text/csv' }, raw: 'a,b\n1,2\n' }),
+      'DELETE /forms/:id': () => ({ status: 204, raw: '' }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('streams large JSON responses through unchanged', async () => {
+    expect(bigList.length).toBeGreaterThan(1_048_576);
+    const res = await request(gateway.app).get('/api/v1/staff').set('Authorization', auth).expect(200);
+    expect(res.headers['content-length']).toBe(String(Buffer.byteLength(bigList)));
+    expect(res.text).toBe(bigList);
+  });
+
+  test('still buffers large JSON when the route transforms it', async () => {
+    const res = await request(gateway.app).get('/api/v2/staff').set('Authorization', auth).expect(200);
+    expect(res.body.count).toBe(20_000);
+    expect(res.body.items[0]).toEqual({ id: 's0', name: 'Staff member 0' });
+  });
+
+  test('passes non-JSON bodies and 204s through', async () => {
+    const csv = await request(gateway.app).get('/api/v1/forms/f1/attachments/a1').set('Authorization', auth).expect(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.text).toBe('a,b\n1,2\n');
+    await request(gateway.app).delete('/api/v1/forms/f1').set('Authorization', auth).expect(204);
+  });
+});
@@ -0,0 +1,53 @@
+import request from 'supertest';
+import { createGateway, trustProxyOf } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices } from './stub.js';
+
+describe('public channel', () => {
+  let stub;
+  let gateway;
+  let submissions = 0;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'POST /submissions': () => ({ status: 201, body: { id: `s${++submissions}` } }),
+    });
+    process.env.TRUST_PROXY = '1';
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    delete process.env.TRUST_PROXY;
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  const submit = (ip, key, formId = 'f1') =>
+    request(gateway.app)
+      .post('/public/v1/submissions')
+      .set('X-Forwarded-For', ip)
+      .set('Idempotency-Key', key)
+      .send({ formId, answers: { q1: 'yes' } });
+
+  test('parses TRUST_PROXY', () => {
+    expect(trustProxyOf(undefined)).toBe(false);
+    expect(trustProxyOf('false')).toBe(false);
+    expect(trustProxyOf('true')).toBe(true);
+    expect(trustProxyOf('2')).toBe(2);
+    expect(trustProxyOf('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+  });
+
+  test('scopes anonymous idempotency keys by client IP and form', async () => {
+    const first = await submit('203.0.113.1', 'k1').expect(201);
+    const retry = await submit('203.0.113.1', 'k1').expect(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.id).toBe(first.body.id);
+
+    const otherVisitor = await submit('203.0.113.2', 'k1').expect(201);
+    expect(otherVisitor.headers['idempotent-replayed']).toBeUndefined();
+    expect(otherVisitor.body.id).not.toBe(first.body.id);
+
+    const otherForm = await submit('203.0.113.1', 'k1', 'f2').expect(201);
+    expect(otherForm.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,165 @@
+import express from 'express';
+import request from 'supertest';
+import { createRateLimiter, SlidingWindowStore } from '../src/rateLimit.js';
+
+// In-process stand-in for the ioredis calls the store makes.
+const fakeRedis = ({ status = 'ready', fail = false } = {}) => {
+  const data = new Map();
+  const calls = [];
+  const run = (name, fn) => {
+    calls.push(name);
+    if (fail) throw new Error('connection lost');
+    return fn();
+  };
+  const redis = {
+    status,
+    data,
+    calls,
+    multi() {
+      const ops = [];
+      const chain = {
+        incr: (key) => (ops.push(() => data.set(key, (data.get(key) || 0) + 1).get(key)), chain),
+        pexpire: () => (ops.push(() => 1), chain),
+        get: (key) => (ops.push(() => data.get(key) ?? null), chain),
+        exec: async () => run('multi', () => ops.map((op) => [null, op()])),
+      };
+      return chain;
+    },
+    decr: async (key) => run('decr', () => data.set(key, (data.get(key) || 0) - 1).get(key)),
+    del: async (...keys) => run('del', () => keys.filter((key) => data.delete(key)).length),
+  };
+  return redis;
+};
+
+describe('SlidingWindowStore', () => {
+  const realNow = Date.now;
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    clock = 10_000;
+    Date.now = () => clock;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+    store?.shutdown();
+  });
+
+  const storeWith = (redis) => {
+    store = new SlidingWindowStore({ redis, prefix: 'rl:test:' });
+    store.init({ windowMs: 1000 });
+    return store;
+  };
+
+  const hits = async (n) => {
+    let result;
+    for (let i = 0; i < n; i++) result = await store.increment('k');
+    return result;
+  };
+
+  test.each([
+    ['memory', () => null],
+    ['redis', () => fakeRedis()],
+  ])('weights the previous window by its remaining overlap (%s)', async (name, redis) => {
+    storeWith(redis());
+    expect((await hits(4)).totalHits).toBe(4);
+    clock = 11_500; // half way through the next window: 4 * 0.5 + 1
+    const { totalHits, resetTime } = await hits(1);
+    expect(totalHits).toBe(3);
+    expect(resetTime.getTime()).toBe(12_000);
+    clock = 12_250; // the window before last no longer counts: floor(1 * 0.75) + 1
+    expect((await hits(1)).totalHits).toBe(1);
+  });
+
+  test('decrement and resetKey undo hits', async () => {
+    const redis = fakeRedis();
+    storeWith(redis);
+    await hits(3);
+    await store.decrement('k');
+    expect((await hits(1)).totalHits).toBe(3);
+    await store.resetKey('k');
+    expect((await hits(1)).totalHits).toBe(1);
+    expect(redis.data.get('rl:test:k:10')).toBe(1);
+  });
+
+  test('falls back to memory when Redis commands fail', async () => {
+    const redis = fakeRedis({ fail: true });
+    storeWith(redis);
+    expect((await hits(2)).totalHits).toBe(2);
+    await store.decrement('k');
+    expect((await hits(1)).totalHits).toBe(2);
+    expect(redis.calls).toContain('multi');
+  });
+
+  test('leaves Redis alone while it is not ready', async () => {
+    const redis = fakeRedis({ status: 'reconnecting' });
+    storeWith(redis);
+    expect((await hits(2)).totalHits).toBe(2);
+    await store.decrement('k');
+    await store.resetKey('k');
+    expect(redis.calls).toEqual([]);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let limiter;
+
+  // x-tenant / x-plan stand in for the auth and entitlements middleware
+  const appWith = (limits) => {
+    limiter = createRateLimiter({ redis: fakeRedis(), limits });
+    const app = express();
+    app.use((req, res, next) => {
+      if (req.headers['x-tenant']) req.user = { id: 'u1', scopes: { orgId: req.headers['x-tenant'] } };
+      req.entitlements = { plan: req.headers['x-plan'] || 'free' };
+      next();
+    });
+    app.use(limiter);
+    app.get('*', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  afterEach(() => limiter?.stop());
+
+  const limits = {
+    default: { windowMs: 60_000, limits: { free: 2, pro: 3 } },
+    groups: { search: { windowMs: 60_000, limits: { free: 1 } } },
+  };
+
+  test('applies the limit of the caller\'s plan tier per route group', async () => {
+    const app = appWith(limits);
+    const get = (path, tenant, plan) => request(app).get(path).set('x-tenant', tenant).set('x-plan', plan);
+    await get('/api/v1/forms', 't-free', 'free').expect(200);
+    await get('/api/v1/forms', 't-free', 'free').expect(200);
+    await get('/api/v1/forms', 't-free', 'free').expect(429);
+    // separate counter per tenant and per route group
+    for (let i = 0; i < 3; i++) await get('/api/v1/forms', 't-pro', 'pro').expect(200);
+    await get('/api/v1/forms', 't-pro', 'pro').expect(429);
+    await get('/api/v1/search', 't-free', 'free').expect(200);
+    await get('/api/v1/search', 't-free', 'free').expect(429);
+    // a tier the group doesn't list gets the group's free limit
+    await get('/api/v1/search', 't-pro', 'pro').expect(200);
+    await get('/api/v1/search', 't-pro', 'pro').expect(429);
+  });
+
+  test('sends RateLimit-* headers and Retry-After when limited', async () => {
+    const app = appWith(limits);
+    const ok = await request(app).get('/api/v1/forms').set('x-tenant', 't1').expect(200);
+    expect(ok.headers['ratelimit-limit']).toBe('2');
+    expect(ok.headers['ratelimit-remaining']).toBe('1');
+    expect(Number(ok.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    await request(app).get('/api/v1/forms').set('x-tenant', 't1').expect(200);
+    const limited = await request(app).get('/api/v1/forms').set('x-tenant', 't1').expect(429);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body.message).toBe('Too many requests');
+  });
+
+  test('never limits health checks', async () => {
+    const app = appWith({ default: { windowMs: 60_000, limits: { free: 1 } }, groups: {} });
+    await request(app).get('/healthz').expect(200);
+    await request(app).get('/healthz').expect(200);
+    await request(app).get('/api/v1/forms').expect(200);
+    await request(app).get('/api/v1/forms').expect(429);
+  });
+});
@@ -0,0 +1,73 @@
+import pino from 'pino';
+import request from 'supertest';
+import { services } from '../src/services.js';
+import { startStub, stubServices, tokenFor } from './stub.js';
+
+// the lists are read when src/redaction.js loads
+process.env.LOG_REQUEST_BODIES = 'true';
+process.env.LOG_REDACT_FIELDS = 'nationalId';
+process.env.LOG_REDACT_QUERY = 'otp';
+process.env.LOG_REDACT_HEADERS = 'X-Partner-Secret';
+const { redactFields, redactOptions } = await import('../src/redaction.js');
+const { createGateway } = await import('../src/gateway.js');
+
+describe('redactFields', () => {
+  test('censors listed fields at any depth, whatever their case', () => {
+    const body = { title: 'NPS', Email: 'a@b.c', questions: [{ id: 'q1', answers: ['yes'] }], meta: { contact: { phone: '123', nationalId: 'X1' } } };
+    expect(redactFields(body)).toEqual({
+      title: 'NPS',
+      Email: '[Redacted]',
+      questions: [{ id: 'q1', answers: '[Redacted]' }],
+      meta: { contact: { phone: '[Redacted]', nationalId: '[Redacted]' } },
+    });
+    expect(body.Email).toBe('a@b.c');
+  });
+});
+
+describe('request logs', () => {
+  let stub;
+  let gateway;
+  let lines;
+
+  // completion log of the request to `path`
+  const logOf = (path) => lines.find((l) => l.req?.url?.startsWith(path) && l.res);
+
+  beforeAll(async () => {
+    stub = await startStub({ 'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }) });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    lines = [];
+    const logger = pino({ level: 'info', redact: redactOptions() }, { write: (line) => lines.push(JSON.parse(line)) });
+    gateway = createGateway({ logger, config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    for (const name of ['LOG_REQUEST_BODIES', 'LOG_REDACT_FIELDS', 'LOG_REDACT_QUERY', 'LOG_REDACT_HEADERS']) delete process.env[name];
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('keep credentials, query secrets and body PII out', async () => {
+    await request(gateway.app)
+      .post('/api/v1/forms?token=t0p&otp=123456&page=2')
+      .set('Authorization', `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 't1', businesses: ['b1'] } })}`)
+      .set('Cookie', 'keephy_session=abc')
+      .set('X-Partner-Secret', 's3cret')
+      .send({ businessId: 'b1', title: 'NPS', questions: [{ id: 'q1', answers: ['yes'], email: 'a@b.c' }], nationalId: 'X1' })
+      .expect(200);
+    const log = logOf('/api/v1/forms');
+    expect(log.req.headers).toMatchObject({ authorization: '[Redacted]', cookie: '[Redacted]', 'x-partner-secret': '[Redacted]' });
+    expect(log.req.url).toBe('/api/v1/forms?token=%5BRedacted%5D&otp=%5BRedacted%5D&page=2');
+    expect(log.req.query).toEqual({ token: '[Redacted]', otp: '[Redacted]', page: '2' });
+    expect(log.body).toEqual({ businessId: 'b1', title: 'NPS', questions: [{ id: 'q1', answers: '[Redacted]', email: '[Redacted]' }], nationalId: '[Redacted]' });
+    const raw = JSON.stringify(lines);
+    for (const secret of ['t0p', '123456', 'keephy_session=abc', 's3cret', 'a@b.c', 'X1']) expect(raw).not.toContain(secret);
+  });
+
+  test('log API keys by prefix only', async () => {
+    const key = 'kph_live_0123456789abcdef';
+    await request(gateway.app).get('/api/v1/forms/f1').set('X-Api-Key', key);
+    const log = logOf('/api/v1/forms/f1');
+    expect(log.req.headers['x-api-key']).toBe('kph_live…');
+    expect(JSON.stringify(lines)).not.toContain(key);
+  });
+});
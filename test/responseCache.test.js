@@ -0,0 +1,102 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+describe('response cache', () => {
+  let stub;
+  let gateway;
+  let brand; // what the stub org-service answers for GET /brand
+  let writeStatus;
+
+  const bearer = (tenant) => `Bearer ${tokenFor({ id: `u-${tenant}`, scopes: { orgId: tenant } })}`;
+  const getBrand = (tenant, headers = {}) => request(gateway.app).get('/api/v1/brand').set('Authorization', bearer(tenant)).set(headers);
+  const brandReads = () => stub.calls.filter((c) => c.method === 'GET' && c.path === '/brand').length;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: {}, features: {} } }),
+      'GET /brand': (req) => ({ ...brand, body: { color: brand.color, tenant: req.headers['x-tenant-id'] } }),
+      'POST /brand': () => ({ status: writeStatus, body: {} }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  beforeEach(() => {
+    brand = { color: 'red', headers: { etag: '"v1"' } };
+    writeStatus = 201;
+    stub.calls.length = 0;
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('serves repeat reads from the cache', async () => {
+    const miss = await getBrand('t1').expect(200);
+    expect(miss.headers['x-cache']).toBe('MISS');
+    brand.color = 'blue';
+    const hit = await getBrand('t1').expect(200);
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers.age).toBe('0');
+    expect(hit.body.color).toBe('red');
+    expect(brandReads()).toBe(1);
+  });
+
+  test('answers a matching If-None-Match with 304', async () => {
+    await getBrand('t2').expect(200);
+    const res = await getBrand('t2', { 'If-None-Match': '"v1"' }).expect(304);
+    expect(res.headers['x-cache']).toBe('HIT');
+    expect(res.headers.etag).toBe('"v1"');
+    await getBrand('t2', { 'If-None-Match': '"v0"' }).expect(200);
+  });
+
+  test('a successful write drops the tenant\'s entries, and only theirs', async () => {
+    await getBrand('t3').expect(200);
+    await getBrand('t4').expect(200);
+    brand.color = 'green';
+    await request(gateway.app).post('/api/v1/brand').set('Authorization', bearer('t3')).send({ color: 'green' }).expect(201);
+    const fresh = await getBrand('t3').expect(200);
+    expect(fresh.headers['x-cache']).toBe('MISS');
+    expect(fresh.body.color).toBe('green');
+    expect((await getBrand('t4')).headers['x-cache']).toBe('HIT');
+  });
+
+  test('a failed write keeps the entries', async () => {
+    await getBrand('t5').expect(200);
+    writeStatus = 422;
+    await request(gateway.app).post('/api/v1/brand').set('Authorization', bearer('t5')).send({}).expect(422);
+    expect((await getBrand('t5')).headers['x-cache']).toBe('HIT');
+  });
+
+  test('keeps tenants and locales apart', async () => {
+    await getBrand('t6', { 'Accept-Language': 'fr-FR,fr;q=0.9' }).expect(200);
+    expect((await getBrand('t6', { 'Accept-Language': 'de' })).headers['x-cache']).toBe('MISS');
+    expect((await getBrand('t7', { 'Accept-Language': 'fr-FR' })).headers['x-cache']).toBe('MISS');
+    const hit = await getBrand('t6', { 'Accept-Language': 'fr-FR' });
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.body.tenant).toBe('t6');
+  });
+
+  test('does not store what the upstream marks no-store', async () => {
+    brand.headers = { 'cache-control': 'no-store' };
+    await getBrand('t8').expect(200);
+    expect((await getBrand('t8')).headers['x-cache']).toBe('MISS');
+  });
+
+  test('a client no-cache request goes upstream', async () => {
+    await getBrand('t9').expect(200);
+    expect((await getBrand('t9', { 'Cache-Control': 'no-cache' })).headers['x-cache']).toBe('BYPASS');
+    expect(brandReads()).toBe(2);
+  });
+
+  test('identical concurrent misses share one upstream call', async () => {
+    brand.delayMs = 50;
+    const [a, b] = await Promise.all([getBrand('t10'), getBrand('t10')]);
+    expect([a.status, b.status]).toEqual([200, 200]);
+    expect([a.headers['x-cache'], b.headers['x-cache']].sort()).toEqual(['HIT', 'MISS']);
+    expect(brandReads()).toBe(1);
+  });
+});
@@ -0,0 +1,101 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { services } from '../src/services.js';
+import { quietLogger, startStub, stubServices } from './stub.js';
+
+// limits are read when the session module loads
+process.env.AUTH_LOGIN_USER_LIMIT = '2';
+const { createGateway } = await import('../src/gateway.js');
+const { createSessionService } = await import('../src/session.js');
+const { createJwtVerifier, createTokenIssuer, loadJwtConfig } = await import('../src/jwtAuth.js');
+
+describe('sessions', () => {
+  let stub;
+  let gateway;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: {}, features: {} } }),
+      'POST /auth/login': (req, body) => {
+        if (body.email === 'html@keephy.test') return { headers: { 'content-type': 'text/html' }, raw: '<html>maintenance</html>' };
+        if (body.password !== 'right') return { status: 401, body: { message: 'Invalid credentials' } };
+        return { body: { user: { id: 'u1', roles: [], scopes: { orgId: 't1' } } } };
+      },
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  const login = (email, password) => request(gateway.app).post('/auth/login').send({ email, password, mode: 'token' });
+
+  test('issues tokens for valid credentials', async () => {
+    const res = await login('ok@keephy.test', 'right').expect(200);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+  });
+
+  test('answers 502 when the identity service returns something other than JSON', async () => {
+    const res = await login('html@keephy.test', 'right').expect(502);
+    expect(res.body.message).toBe('identity-service unavailable');
+  });
+
+  test('limits failed logins per username', async () => {
+    await login('victim@keephy.test', 'wrong').expect(401);
+    await login('Victim@keephy.test', 'wrong').expect(401);
+    await login('victim@keephy.test', 'right').expect(429);
+    const calls = stub.calls.filter((c) => c.path === '/auth/login' && c.body.email.toLowerCase() === 'victim@keephy.test');
+    expect(calls).toHaveLength(2);
+  });
+
+  test('treats an unreadable refresh token as invalid', async () => {
+    const res = await request(gateway.app).post('/auth/refresh').send({ refreshToken: 'not-a-token' }).expect(401);
+    expect(res.body.code).toBe('REFRESH_INVALID');
+  });
+});
+
+describe('logout denylist', () => {
+  const config = loadJwtConfig({ JWT_SECRET: 'test-secret' });
+  const writes = [];
+  // records what logout would store in Redis
+  const redis = {
+    get: async () => null,
+    set: async (...args) => {
+      writes.push(args);
+      return 'OK';
+    },
+  };
+  const session = createSessionService({ issuer: createTokenIssuer({ config, ttlS: 900 }), verifier: createJwtVerifier({ config }), redis });
+
+  afterAll(() => session.stop());
+  beforeEach(() => writes.splice(0));
+
+  const logout = (token) =>
+    new Promise((resolve) => {
+      const req = { id: 'r1', method: 'POST', body: {}, cookies: {}, headers: { authorization: `Bearer ${token}` } };
+      session.logout(req, { clearCookie: () => {}, json: resolve });
+    });
+  const farFuture = { id: 'u1', jti: 'j1', exp: 99_999_999_999 };
+
+  test('ignores a token with a forged signature', async () => {
+    expect(await logout(jwt.sign(farFuture, 'not-the-secret'))).toMatchObject({ loggedOut: true });
+    expect(writes).toEqual([]);
+  });
+
+  test('ignores an unsigned token', async () => {
+    await logout(jwt.sign(farFuture, null, { algorithm: 'none' }));
+    expect(writes).toEqual([]);
+  });
+
+  test('denylists a valid token for no longer than the access token lifetime', async () => {
+    await logout(jwt.sign(farFuture, 'test-secret'));
+    expect(writes).toHaveLength(1);
+    const [key, , , ttlMs] = writes[0];
+    expect(key).toBe('deny:j1');
+    expect(ttlMs).toBeLessThanOrEqual(900_000);
+  });
+});
@@ -0,0 +1,122 @@
+import http from 'node:http';
+import { EventEmitter } from 'node:events';
+import express from 'express';
+import { createLiveStream } from '../src/stream.js';
+import { createDeprecations } from '../src/versions.js';
+import { services } from '../src/services.js';
+import { quietLogger, startStub } from './stub.js';
+
+const feeds = [{ type: 'notifications', service: 'notifications', upstream: '/notifications/by-business/:businessId', pollMs: 60_000 }];
+
+// Enough of ioredis for the stream; admit()'s MULTI answers after `admitDelayMs`.
+const fakeRedis = ({ admitDelayMs = 0 } = {}) => {
+  const conns = new Set();
+  const redis = {
+    status: 'ready',
+    conns,
+    duplicate: () => Object.assign(new EventEmitter(), { disconnect: () => {} }),
+    get: async () => null,
+    set: async () => 'OK',
+    incr: async () => 1,
+    publish: async () => 0,
+    lrange: async () => [],
+    zadd: async (key, score, id) => conns.add(id),
+    zrem: async (key, id) => conns.delete(id),
+    multi() {
+      const chain = {
+        zremrangebyscore: () => chain,
+        zcard: () => chain,
+        lpush: () => chain,
+        ltrim: () => chain,
+        pexpire: () => chain,
+        exec: async () => {
+          await new Promise((resolve) => setTimeout(resolve, admitDelayMs));
+          return [[null, 0], [null, conns.size]];
+        },
+      };
+      return chain;
+    },
+  };
+  return redis;
+};
+
+describe('live stream', () => {
+  let stub;
+  let server;
+  let live;
+
+  const listen = async (redis, deprecations) => {
+    live = createLiveStream({ logger: quietLogger(), redis, feeds });
+    const app = express();
+    // stands in for the auth and entitlements middleware
+    app.use((req, res, next) => {
+      req.id = 'r1';
+      req.user = { id: req.headers['x-user'], roles: ['owner'], scopes: { orgId: 'o1', businesses: ['b1'] } };
+      req.entitlements = { modules: {}, features: {} };
+      next();
+    });
+    live.mount(app, { deprecations });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+  };
+
+  // opens a stream and resolves with the request and response once headers arrive
+  const open = (user, prefix = '/api/v1') =>
+    new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${server.address().port}${prefix}/stream/business/b1`, { headers: { 'x-user': user } }, (res) => resolve({ req, res }));
+      req.on('error', reject);
+    });
+
+  const until = async (check) => {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  };
+
+  beforeAll(async () => {
+    stub = await startStub({ 'GET /notifications/by-business/:id': () => ({ body: [] }) });
+    services.notifications.baseUrl = stub.url;
+  });
+
+  afterEach(async () => {
+    live?.stop();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterAll(() => stub.close());
+
+  test('polls feeds as the gateway, not as the first subscriber', async () => {
+    await listen(null);
+    const { req } = await open('alice');
+    await until(() => stub.calls.length);
+    const [call] = stub.calls;
+    expect(call.headers['x-user-id']).toBe('gateway:live-stream');
+    expect(call.headers['x-user-roles']).toBe('gateway_service');
+    expect(call.headers['x-tenant-id']).toBe('b1');
+    req.destroy();
+  });
+
+  test('gives the connection slot back when the client leaves during admission', async () => {
+    const redis = fakeRedis({ admitDelayMs: 50 });
+    await listen(redis);
+    const req = http.get(`http://127.0.0.1:${server.address().port}/api/v1/stream/business/b1`, { headers: { 'x-user': 'bob' } });
+    req.on('error', () => {});
+    setTimeout(() => req.destroy(), 10);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(redis.conns.size).toBe(0);
+  });
+
+  test('serves every API version, with deprecation headers on the unversioned alias', async () => {
+    await listen(null, createDeprecations({ redis: null }));
+    for (const prefix of ['/api/v1', '/api/v2']) {
+      const { req, res } = await open('carol', prefix);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(res.headers.deprecation).toBeUndefined();
+      req.destroy();
+    }
+    const { req, res } = await open('carol', '/api');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.deprecation).toMatch(/^@\d+$/);
+    expect(res.headers.link).toContain('</api/v1/stream/business/b1>; rel="successor-version"');
+    req.destroy();
+  });
+});
@@ -0,0 +1,47 @@
+import http from 'node:http';
+import jwt from 'jsonwebtoken';
+import pino from 'pino';
+
+// Local stand-in for the upstream services: `routes` maps 'GET /path' to a
+// handler (req, body) -> { status, headers, body, delayMs } (`raw` instead of
+// `body` sends a string as is); every request is kept in `calls`.
+export const startStub = async (routes = {}) => {
+  const calls = [];
+  const send = (res, reply) => {
+    res.statusCode = reply.status || 200;
+    res.setHeader('content-type', 'application/json');
+    for (const [name, value] of Object.entries(reply.headers || {})) res.setHeader(name, value);
+    res.end(reply.raw ?? JSON.stringify(reply.body ?? {}));
+  };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      const body = raw ? JSON.parse(raw) : undefined;
+      calls.push({ method: req.method, path, headers: req.headers, body });
+      const match = Object.entries(routes).find(([key]) => {
+        const [method, pattern] = key.split(' ');
+        return method === req.method && new RegExp(`^${pattern.replace(/:\w+/g, '[^/]+')}$`).test(path);
+      });
+      const reply = match ? match[1](req, body) : { status: 200, body: { path } };
+      setTimeout(() => send(res, reply), reply.delayMs || 0);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// HS256 token as accepted by the gateway outside production (JWT_SECRET unset).
+export const tokenFor = (claims) => jwt.sign(claims, process.env.JWT_SECRET || 'dev-secret');
+
+export const quietLogger = () => pino({ level: 'silent' });
+
+// Points every registered service at the stub.
+export const stubServices = (services, url) => ({
+  services: Object.fromEntries(Object.keys(services).map((key) => [key, { baseUrl: url, retries: 0 }])),
+});
@@ -0,0 +1,79 @@
+import http from 'node:http';
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { services } from '../src/services.js';
+import { isTimeout, pruneUpstreams, resetUpstreams, upstreamFetch } from '../src/upstream.js';
+import { quietLogger, stubServices, tokenFor } from './stub.js';
+
+// Upstream that sends its headers and the start of the body, then stalls on
+// paths ending in /stall; anything else gets `{}`. Keeps track of open sockets.
+const startStalling = async () => {
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    res.setHeader('content-type', 'application/json');
+    if (!req.url.endsWith('/stall')) return res.end(req.url.startsWith('/entitlements') ? '{"modules":{"forms":true},"features":{}}' : '{}');
+    res.write('{"id":');
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    sockets,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+describe('upstream', () => {
+  const original = { ...services.forms };
+  let upstream;
+
+  beforeEach(async () => {
+    upstream = await startStalling();
+    Object.assign(services.forms, { baseUrl: upstream.url, retries: 0, bodyTimeoutMs: 50 });
+  });
+
+  afterEach(async () => {
+    for (const field of Object.keys(services.forms)) delete services.forms[field];
+    Object.assign(services.forms, original);
+    resetUpstreams();
+    await upstream.close();
+  });
+
+  test('times out a body that stalls after the headers', async () => {
+    const r = await upstreamFetch('forms', '/stall');
+    expect(r.status).toBe(200);
+    const err = await r.json().catch((e) => e);
+    expect(isTimeout(err)).toBe(true);
+    expect(err.message).toContain('body timeout after 50ms');
+  });
+
+  test('answers 504 when the proxied body stalls', async () => {
+    const config = stubServices(services, upstream.url);
+    config.services.forms.bodyTimeoutMs = 50;
+    process.env.ENTITLEMENTS_URL = `${upstream.url}/entitlements`;
+    const gateway = createGateway({ logger: quietLogger(), config });
+    try {
+      const res = await request(gateway.app).get('/api/v1/forms/stall').set('Authorization', `Bearer ${tokenFor({ id: 'u1', scopes: { orgId: 't1' } })}`);
+      expect(res.status).toBe(504);
+      expect(res.body.message).toBe('forms-service timed out');
+    } finally {
+      await gateway.stop();
+    }
+  });
+
+  test('closes pooled sockets of a base URL no service uses any more', async () => {
+    const r = await upstreamFetch('forms', '/forms/f1');
+    await r.json();
+    expect(upstream.sockets.size).toBe(1);
+    services.forms.baseUrl = 'http://127.0.0.1:1';
+    pruneUpstreams();
+    for (let i = 0; i < 50 && upstream.sockets.size; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(upstream.sockets.size).toBe(0);
+  });
+});
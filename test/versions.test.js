@@ -0,0 +1,101 @@
+import request from 'supertest';
+import { createGateway } from '../src/gateway.js';
+import { ConfigError } from '../src/config.js';
+import { services } from '../src/services.js';
+import { apiVersions, configuredVersions, expandVersions } from '../src/versions.js';
+import { quietLogger, startStub, stubServices, tokenFor } from './stub.js';
+
+const pathsOf = (table, versions = apiVersions) => expandVersions(table, versions).map((r) => `${r.version} ${r.path}`);
+
+describe('expandVersions', () => {
+  test('serves a route under every version prefix and the legacy alias', () => {
+    expect(pathsOf([{ method: 'get', path: '/api/forms/:id', service: 'forms', upstream: '/forms/:id' }])).toEqual([
+      'legacy /api/forms/:id',
+      'v1 /api/v1/forms/:id',
+      'v2 /api/v2/forms/:id',
+    ]);
+  });
+
+  test('leaves a route out of a version with `false`, and the legacy alias follows v1', () => {
+    expect(pathsOf([{ method: 'get', path: '/api/staff', versions: { v1: false } }])).toEqual(['v2 /api/v2/staff']);
+    expect(pathsOf([{ method: 'get', path: '/api/staff', versions: { v2: false } }])).toEqual(['legacy /api/staff', 'v1 /api/v1/staff']);
+  });
+
+  test('adds a route from `since` on', () => {
+    expect(pathsOf([{ method: 'get', path: '/api/insights', since: 'v2' }])).toEqual(['v2 /api/v2/insights']);
+  });
+
+  test('merges per-version overrides', () => {
+    const [legacy, v1, v2] = expandVersions([{ method: 'get', path: '/api/staff', upstream: '/staff', versions: { v2: { upstream: '/v2/staff' } } }], apiVersions);
+    expect([legacy.upstream, v1.upstream, v2.upstream]).toEqual(['/staff', '/staff', '/v2/staff']);
+  });
+
+  test('points deprecated routes at their successor', () => {
+    const [legacy, v1] = expandVersions([{ method: 'get', path: '/api/staff' }], apiVersions);
+    expect(legacy.deprecated).toMatchObject({ prefix: '/api', successorPrefix: '/api/v1' });
+    expect(v1.deprecated).toBeUndefined();
+  });
+});
+
+describe('API_DEPRECATIONS', () => {
+  test('moves dates of a version', () => {
+    expect(configuredVersions('{"legacy":{"sunset":"2027-04-30"}}').legacy.deprecated).toEqual({ at: apiVersions.legacy.deprecated.at, sunset: '2027-04-30' });
+  });
+
+  test.each([
+    ['not json', /not valid JSON/],
+    ['[]', /JSON object keyed by version name/],
+    ['{"v9":{"at":"2027-01-01"}}', /unknown version "v9"/],
+    ['{"legacy":{"sunset":"soon"}}', /legacy.sunset must be an ISO date/],
+  ])('rejects %s with a ConfigError', (raw, message) => {
+    expect(() => configuredVersions(raw)).toThrow(ConfigError);
+    expect(() => configuredVersions(raw)).toThrow(message);
+  });
+});
+
+describe('deprecated routes', () => {
+  let stub;
+  let gateway;
+  const bearer = (claims) => `Bearer ${tokenFor(claims)}`;
+
+  beforeAll(async () => {
+    stub = await startStub({
+      'GET /entitlements/:tenant': () => ({ body: { modules: { forms: true }, features: {} } }),
+      'GET /forms/:id': () => ({ body: { id: 'f1' } }),
+    });
+    process.env.ENTITLEMENTS_URL = `${stub.url}/entitlements`;
+    gateway = createGateway({ logger: quietLogger(), config: stubServices(services, stub.url) });
+  });
+
+  afterAll(async () => {
+    await gateway?.stop();
+    await stub.close();
+  });
+
+  test('the legacy alias sends Deprecation, Sunset and a successor link', async () => {
+    const res = await request(gateway.app).get('/api/forms/f1').set('Authorization', bearer({ id: 'u1', scopes: { orgId: 't1' } })).expect(200);
+    expect(res.headers.deprecation).toBe(`@${Date.parse(apiVersions.legacy.deprecated.at) / 1000}`);
+    expect(res.headers.sunset).toBe(new Date(apiVersions.legacy.deprecated.sunset).toUTCString());
+    expect(res.headers.link).toBe('</api/v1/forms/f1>; rel="successor-version"');
+  });
+
+  test('versioned paths send no deprecation headers', async () => {
+    const res = await request(gateway.app).get('/api/v1/forms/f1').set('Authorization', bearer({ id: 'u1', scopes: { orgId: 't1' } })).expect(200);
+    expect(res.headers.deprecation).toBeUndefined();
+    expect(res.headers.sunset).toBeUndefined();
+  });
+
+  test('counts legacy calls per tenant, route and client for platform admins', async () => {
+    await request(gateway.app)
+      .get('/api/forms/f1')
+      .set('Authorization', bearer({ id: 'u2', scopes: { orgId: 't2' } }))
+      .set('X-Client-Version', 'KeephyMobile/3.9.0')
+      .expect(200);
+    await request(gateway.app).get('/internal/deprecations/usage').set('Authorization', bearer({ id: 'u2', scopes: { orgId: 't2' } })).expect(403);
+    const res = await request(gateway.app)
+      .get('/internal/deprecations/usage?days=1')
+      .set('Authorization', bearer({ id: 'admin', roles: ['platform_admin'] }))
+      .expect(200);
+    expect(res.body.usage).toContainEqual(expect.objectContaining({ tenantId: 't2', version: 'legacy', route: 'GET /api/forms/:id', client: 'KeephyMobile/3.9.0', calls: 1 }));
+  });
+});